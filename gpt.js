@@ -1,7 +1,12 @@
 /**
  * Facebook Messenger Automation Actor for Apify
  *
- * Enhanced Puppeteer automation script with automatic reCAPTCHA solving capabilities.
+ * Apify front end for the shared messaging core in lib/core.js; the CLI
+ * (messenger.js) runs the same code. State is kept in the named
+ * "automessage-state" key-value store and results in the default dataset
+ * (lib/storage/apify.js). The run's default key-value store is wiped for every
+ * run, so nothing that has to outlive a run is kept there; it only holds the
+ * SUMMARY record and halt screenshots.
  * Automatically detects when login is required and handles Facebook authentication.
  *
  * Features:
@@ -9,516 +14,81 @@
  * - Stealth mode to avoid detection
  * - Session persistence with key-value store
  * - Human-like interactions (typing, mouse movements, scrolling)
- * - Automatic reCAPTCHA solving
+ * - Halts on any CAPTCHA, checkpoint, block or rate-limit notice
  * - Structured JSON logging to dataset
+ * - Every send is checked in the conversation; only confirmed sends count
  * - Facebook-specific optimizations
+ * - Consent ledger: only profiles with a valid opt-in record are messaged
+ * - Do-not-contact list that always wins over the profiles input
+ * - Opt-out replies found in the inbox before each batch are suppressed
+ * - Hard per-run, rolling 24h and per-recipient send caps
+ * - Message policy checks before anything runs
  *
- * Input format:
+ * Input format (INPUT_SCHEMA.json; profiles follow schemas/profiles.schema.json,
+ * with unique ids and facebook.com URLs):
  * {
  *   "loginEmail": "your-email@example.com",
  *   "loginPassword": "your-password",
- *   "message": "Hello there!",
+ *   "cookiePassphrase": "encrypts the saved session cookies",
+ *   "message": "Hello there!\n— Ada from Acme\nReply STOP to opt out.",
  *   "profiles": [
  *     {"id": "profile-001", "url": "https://www.facebook.com/username"},
  *     {"id": "profile-002", "url": "https://www.facebook.com/profile.php?id=123456"}
  *   ],
  *   "headless": true,
- *   "delayBetweenProfiles": 5000
+ *   "delayBetweenProfiles": 5000,
+ *   "suppress": ["profile-003", "https://www.facebook.com/another.user"],
+ *   "optOutPhrases": {"languages": {"en": ["stop", "unsubscribe"]}},
+ *   "maxPerRun": 10,
+ *   "maxPerDay": 25,
+ *   "maxPerRecipient": 1,
+ *   "dryRun": false
  * }
+ *
+ * Consent records are read from the "CONSENT" record of the "automessage-state"
+ * key-value store, in the same format as the CLI's consent.json (see lib/consent.js).
+ * The do-not-contact list is kept in the "SUPPRESSION" record; profile ids or
+ * URLs passed in the "suppress" input are added to it permanently. Sends are
+ * counted in the "SEND_COUNTERS" record so the caps hold across runs.
+ * Before sending, recent threads are checked for opt-out replies; matches are
+ * added to "SUPPRESSION" with the reply as evidence. "optOutPhrases" replaces
+ * the built-in phrases per language and is kept in "OPT_OUT_PHRASES".
+ *
+ * The message must pass the outreach policy (lib/policy.js): a sender line,
+ * an opt-out instruction, no URL shorteners or banned phrases, and a length
+ * limit. The policy is tuned in the "MESSAGE_POLICY" record, not the input.
+ *
+ * Failed or unconfirmed attempts in the dataset carry an "errorCode" (see
+ * lib/errors.js), the original "error" message and the "errorStep".
+ *
+ * To review past runs, export the dataset as JSON and run
+ *   node messenger.js report --input dataset.json
+ *
+ * Every run is recorded in a hash-chained audit log in the "audit" dataset
+ * (head in the "AUDIT_HEAD" record of "automessage-state"): run start with
+ * the Apify user as operator, each attempt or skip with its reason and consent
+ * record, run end. The chain is keyed with "cookiePassphrase", so keep it the
+ * same across runs. To check it, export the dataset and the record and run
+ *   node messenger.js verify-audit --input audit.json --head audit-head.json
+ *
+ * With "dryRun" the actor navigates to each profile and looks for the message
+ * button, input box and send button, but never types or sends. Dataset
+ * records are tagged with "dryRun": true.
+ *
+ * When Facebook shows a CAPTCHA, checkpoint, temporary block or rate-limit
+ * notice the run stops: a screenshot is stored under a "HALT-..." key, a
+ * "halted" record is pushed to the dataset and the actor fails.
  */
 
 import { Actor } from 'apify';
-import { PuppeteerCrawler } from 'crawlee';
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-
-puppeteer.use(StealthPlugin());
-
-const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
-
-/* ---------------------------- Utility helpers ---------------------------- */
-
-function rand(min = 100, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/* --------------------------- Human-like actions -------------------------- */
-
-async function humanType(elementHandle, text, opts = {}) {
-  const { min = 80, max = 200 } = opts;
-  await elementHandle.click({ clickCount: 3 }); // Select all existing text
-  await delay(rand(100, 300));
-
-  for (const char of text) {
-    await elementHandle.type(char);
-    await delay(rand(min, max));
-  }
-}
-
-async function humanMove(page, from, to, steps = 20) {
-  const dx = (to.x - from.x) / steps;
-  const dy = (to.y - from.y) / steps;
-  for (let i = 0; i <= steps; i += 1) {
-    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
-    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
-    await page.mouse.move(x, y);
-    await delay(rand(5, 30));
-  }
-}
-
-async function humanScroll(page, distance = 300, steps = 10) {
-  for (let i = 0; i < steps; i += 1) {
-    await page.evaluate((amount) => {
-      window.scrollBy(0, amount);
-    }, Math.round(distance / steps));
-    await delay(rand(100, 350));
-  }
-}
-
-async function humanClick(page, element) {
-  const box = await element.boundingBox();
-  if (box) {
-    const x = box.x + box.width / 2 + rand(-5, 5);
-    const y = box.y + box.height / 2 + rand(-5, 5);
-    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
-    await element.click({ delay: rand(50, 150) });
-  }
-}
-
-/* -------------------------- Session Persistence -------------------------- */
-
-async function saveCookies(page, email) {
-  const cookies = await page.cookies();
-  const keyValueStore = await Actor.openKeyValueStore();
-  const cookieKey = `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`;
-  await keyValueStore.setValue(cookieKey, cookies);
-  console.log(`💾 Cookies saved for ${email}`);
-}
-
-async function loadCookies(page, email) {
-  try {
-    const keyValueStore = await Actor.openKeyValueStore();
-    const cookieKey = `cookies-${email.replace(/[^a-z0-9_\-\.@]/gi, "_")}`;
-    const cookies = await keyValueStore.getValue(cookieKey);
-    
-    if (cookies && Array.isArray(cookies)) {
-      await page.setCookie(...cookies);
-      console.log(`🍪 Cookies loaded for ${email}`);
-      return true;
-    }
-    return false;
-  } catch (err) {
-    console.warn("Failed to load cookies:", err.message);
-    return false;
-  }
-}
-
-/* -------------------------- reCAPTCHA Solving --------------------------- */
-
-async function solveRecaptchaAudio(page) {
-  console.log("🎵 Attempting to solve reCAPTCHA using audio challenge...");
-
-  try {
-    await delay(rand(1000, 2000));
-
-    // Wait for reCAPTCHA iframe
-    await page.waitForSelector('iframe[src*="recaptcha"]', { timeout: 10000 });
-
-    const frames = await page.frames();
-    let recaptchaFrame = frames.find((frame) =>
-      frame.url().includes("recaptcha/api2/anchor")
-    );
-
-    if (recaptchaFrame) {
-      // Click the checkbox
-      const checkbox = await recaptchaFrame.$("#recaptcha-anchor");
-      if (checkbox) {
-        await checkbox.click();
-        await delay(rand(2000, 3000));
-      }
-    }
-
-    // Look for challenge frame
-    await delay(1000);
-    const updatedFrames = await page.frames();
-    const challengeFrame = updatedFrames.find((frame) =>
-      frame.url().includes("recaptcha/api2/bframe")
-    );
-
-    if (!challengeFrame) {
-      console.log("✅ reCAPTCHA solved with checkbox click");
-      return true;
-    }
-
-    // Click audio challenge button
-    await delay(rand(1000, 2000));
-    const audioButton = await challengeFrame.$(
-      "#recaptcha-audio-button, .rc-button-audio"
-    );
-    if (audioButton) {
-      await audioButton.click();
-      await delay(rand(2000, 3000));
-    }
-
-    // For production, you would implement actual audio processing here
-    // This is a simplified version
-    return false;
-  } catch (error) {
-    console.error("❌ reCAPTCHA audio solving failed:", error.message);
-    return false;
-  }
-}
-
-async function solveCaptcha(page) {
-  console.log("🔍 Detecting CAPTCHA...");
-
-  const captchaPresent = await page.evaluate(() => {
-    const frames = Array.from(document.querySelectorAll("iframe"));
-    const hasRecaptcha = frames.some((f) =>
-      (f.src || "").toLowerCase().includes("recaptcha")
-    );
-    const overlay = !!document.querySelector(
-      '.captcha, [id*="captcha"], [class*="captcha"]'
-    );
-    return hasRecaptcha || overlay;
-  });
-
-  if (!captchaPresent) return true;
-
-  // Try audio challenge method
-  const audioSolved = await solveRecaptchaAudio(page);
-  if (audioSolved) return true;
-
-  // Allow some time for manual solving in non-headless mode
-  console.log("⏳ Waiting for potential manual CAPTCHA solve...");
-  await delay(30000); // 30 second wait
-
-  return false;
-}
-
-/* ---------------------------- Login Detection & Handling --------------------------- */
-
-async function isLoginRequired(page) {
-  const currentUrl = page.url();
-  const isLoginPage =
-    currentUrl.includes("/login") ||
-    currentUrl.includes("/signin") ||
-    currentUrl.includes("login.facebook.com") ||
-    currentUrl.includes("m.facebook.com/login");
-
-  if (isLoginPage) return true;
-
-  const loginElements = await page.evaluate(() => {
-    const hasLoginForm = !!document.querySelector(
-      'input[name="email"], input[type="email"], #email'
-    );
-    const hasPasswordField = !!document.querySelector(
-      'input[name="pass"], input[name="password"], input[type="password"]'
-    );
-    const hasLoginButton = !!document.querySelector(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
-    );
-    const hasLoginText =
-      document.body.textContent.toLowerCase().includes("log in") ||
-      document.body.textContent.toLowerCase().includes("sign in");
-
-    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
-  });
-
-  return loginElements;
-}
-
-async function performFacebookLogin(page, email, password) {
-  console.log("🔐 Performing Facebook login...");
-
-  try {
-    // Wait for login form elements
-    await page.waitForSelector('input[name="email"], input[type="email"]', {
-      timeout: 10000,
-    });
-
-    // Fill email
-    const emailField = await page.$('input[name="email"], input[type="email"]');
-    if (emailField) {
-      await humanClick(page, emailField);
-      await delay(rand(300, 600));
-      await humanType(emailField, email, { min: 80, max: 180 });
-      await delay(rand(400, 800));
-    } else {
-      throw new Error("Email field not found");
-    }
-
-    // Fill password
-    const passwordField = await page.$(
-      'input[name="pass"], input[type="password"]'
-    );
-    if (passwordField) {
-      await humanClick(page, passwordField);
-      await delay(rand(300, 600));
-      await humanType(passwordField, password, { min: 80, max: 180 });
-      await delay(rand(500, 1000));
-    } else {
-      throw new Error("Password field not found");
-    }
-
-    // Click login button
-    const loginButton = await page.$(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
-    );
-    if (loginButton) {
-      await humanClick(page, loginButton);
-    } else {
-      await page.keyboard.press("Enter");
-    }
-
-    console.log("⏳ Waiting for login to complete...");
-
-    // Wait for navigation or login completion
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
-      delay(5000),
-    ]);
-
-    await delay(rand(2000, 4000));
-
-    // Check for CAPTCHA
-    const captchaPresent = await page.evaluate(() => {
-      const frames = Array.from(document.querySelectorAll("iframe"));
-      const hasRecaptcha = frames.some((f) =>
-        (f.src || "").toLowerCase().includes("recaptcha")
-      );
-      const hasCaptchaText =
-        document.body.textContent.toLowerCase().includes("security check") ||
-        document.body.textContent.toLowerCase().includes("verify") ||
-        !!document.querySelector('[id*="captcha"], [class*="captcha"]');
-      return hasRecaptcha || hasCaptchaText;
-    });
-
-    if (captchaPresent) {
-      console.log("🚨 CAPTCHA detected during login");
-      const solved = await solveCaptcha(page);
-      if (!solved) {
-        throw new Error("CAPTCHA could not be solved during login");
-      }
-      await delay(rand(3000, 5000));
-    }
-
-    // Check if login was successful
-    const stillOnLoginPage = await isLoginRequired(page);
-    if (stillOnLoginPage) {
-      const errorMessage = await page.evaluate(() => {
-        const errorElements = document.querySelectorAll(
-          '[role="alert"], .error, [id*="error"]'
-        );
-        for (const el of errorElements) {
-          if (el.textContent.trim()) return el.textContent.trim();
-        }
-        return null;
-      });
-
-      if (errorMessage) {
-        throw new Error(`Login failed: ${errorMessage}`);
-      } else {
-        throw new Error("Login failed: Still on login page");
-      }
-    }
-
-    console.log("✅ Facebook login successful!");
-    return true;
-  } catch (error) {
-    console.error("❌ Facebook login failed:", error.message);
-    throw error;
-  }
-}
-
-/* ------------------------- Send message to profile ------------------------ */
-
-async function sendMessageToProfile(page, profile, message, email) {
-  const start = Date.now();
-  let messageButtonPresent = "No";
-  let messageSent = "No";
-
-  try {
-    console.log(`\n🎯 Processing profile: ${profile.id}`);
-    console.log(`🔗 URL: ${profile.url}`);
-
-    // Load cookies first to maintain session
-    if (email) {
-      await loadCookies(page, email);
-    }
-
-    // Navigate with retry mechanism
-    console.log("🌐 Navigating to profile...");
-    let navigationSuccess = false;
-    let attempt = 0;
-    const maxAttempts = 3;
-
-    while (!navigationSuccess && attempt < maxAttempts) {
-      try {
-        attempt++;
-        console.log(`   Attempt ${attempt}/${maxAttempts}...`);
-
-        await page.goto(profile.url, {
-          waitUntil: "domcontentloaded",
-          timeout: 45000,
-        });
-
-        await delay(rand(3000, 6000));
-
-        const pageLoaded = await page.evaluate(() => {
-          return (
-            document.readyState === "complete" ||
-            document.querySelector("body") !== null
-          );
-        });
-
-        if (pageLoaded) {
-          navigationSuccess = true;
-          console.log("✅ Page loaded successfully");
-        } else {
-          throw new Error("Page did not load properly");
-        }
-      } catch (navError) {
-        console.log(
-          `⚠️ Navigation attempt ${attempt} failed: ${navError.message}`
-        );
-        if (attempt === maxAttempts) {
-          throw new Error(
-            `Failed to load profile after ${maxAttempts} attempts: ${navError.message}`
-          );
-        }
-        await delay(rand(2000, 4000));
-      }
-    }
-
-    // Check if login required
-    const needsLogin = await isLoginRequired(page);
-    if (needsLogin) {
-      throw new Error("Login required - please check credentials");
-    }
-
-    // Human-like behavior
-    console.log("👀 Simulating human browsing behavior...");
-    await humanScroll(page, rand(200, 500), rand(3, 6));
-    await delay(rand(2000, 4000));
-
-    // Look for messaging interface
-    console.log("🔍 Looking for messaging interface...");
-    const messageButtonSelector = 'div[aria-label="Message"][role="button"]';
-
-    let messageButton = null;
-    try {
-      console.log("Trying to find message button...");
-      messageButton = await page.$(messageButtonSelector);
-      
-      if (messageButton) {
-        console.log("🖱️ Clicking message button...");
-        await humanClick(page, messageButton);
-        messageButtonPresent = "Yes";
-        
-        await Promise.race([
-          page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
-          page.waitForSelector("textarea", { timeout: 15000 }),
-          page.waitForNavigation({
-            waitUntil: "domcontentloaded",
-            timeout: 15000,
-          }),
-          delay(10000),
-        ]);
-
-        await delay(rand(2000, 4000));
-
-        const messageInputSelector = 'div[aria-label="Message"][role="textbox"][contenteditable="true"]';
-        let messageInput = await page.$(messageInputSelector);
-
-        if (messageInput) {
-          console.log("📝 Typing message...");
-          await humanClick(page, messageInput);
-          await delay(rand(500, 1000));
-
-          const isContentEditable = await messageInput.evaluate(
-            (el) => el.contentEditable === "true"
-          );
-          if (isContentEditable) {
-            await messageInput.focus();
-            await page.keyboard.down("Control");
-            await page.keyboard.press("a");
-            await page.keyboard.up("Control");
-            await delay(100);
-            await messageInput.type(message);
-          } else {
-            await humanType(messageInput, message, { min: 100, max: 250 });
-          }
-
-          await delay(rand(1000, 2000));
-
-          const sendSelectors = [
-            'div.xsrhx6k[role="button"]',
-            "div.x5yr21d svg.xsrhx6k",
-            'svg.xsrhx6k[aria-label="Send"]',
-          ];
-
-          let sendButton = null;
-          for (const selector of sendSelectors) {
-            try {
-              sendButton = await page.$(selector);
-              if (sendButton) {
-                console.log(`📤 Found send button with selector: ${selector}`);
-                break;
-              }
-            } catch (e) {}
-          }
-
-          if (sendButton) {
-            console.log("📤 Sending message...");
-            await humanClick(page, sendButton);
-            messageSent = "Yes";
-          } else {
-            console.log("📤 Trying Enter key to send...");
-            await page.keyboard.press("Enter");
-            messageSent = "Yes";
-          }
-
-          await delay(rand(4000, 7000));
-          console.log("✅ Message sent successfully!");
-        } else {
-          throw new Error("Message input field not found");
-        }
-      } else {
-        throw new Error("No messaging interface found on this profile");
-      }
-    } catch (e) {
-      throw new Error("Profile unavailable or no messaging option found");
-    }
-
-    const duration = Date.now() - start;
-    return {
-      success: true,
-      profileId: profile.id,
-      url: profile.url,
-      durationMs: duration,
-      message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
-      messageButtonPresent,
-      messageSent,
-    };
-  } catch (err) {
-    const duration = Date.now() - start;
-    console.error(`❌ Failed to send message to ${profile.id}: ${err.message}`);
-    return {
-      success: false,
-      profileId: profile.id,
-      url: profile.url,
-      error: err.message,
-      durationMs: duration,
-      messageButtonPresent,
-      messageSent,
-    };
-  }
-}
+import { runCampaign, summarizeResults } from './lib/core.js';
+import { createApifyStorage } from './lib/storage/apify.js';
+import { addSuppression, parseSuppressionTarget } from './lib/suppression.js';
+import { resolveCaps } from './lib/caps.js';
+import { resolveOptOutPhrases } from './lib/optout.js';
+import { resolvePolicy, lintMessage, formatPolicyReport } from './lib/policy.js';
+import { validateActorInput, formatValidationReport } from './lib/validate.js';
+import { buildRunPlan, planHash, printPlan } from './lib/preflight.js';
 
 /* ------------------------------- Main Actor -------------------------------- */
 
@@ -530,195 +100,119 @@ await Actor.main(async () => {
   const {
     loginEmail,
     loginPassword,
-    message = "Hello world! This is a test message.",
+    cookiePassphrase,
+    message,
     profiles = [],
     headless = true,
-    delayBetweenProfiles = 5000
+    delayBetweenProfiles = 5000,
+    suppress = [],
+    optOutPhrases,
+    maxPerRun,
+    maxPerDay,
+    maxPerRecipient,
+    dryRun = false
   } = input;
 
-  // Validate required inputs
-  if (!loginEmail || !loginPassword) {
-    throw new Error('❌ loginEmail and loginPassword are required inputs');
+  // Validate the input against INPUT_SCHEMA.json before the browser starts
+  const inputErrors = validateActorInput(input);
+  if (inputErrors.length > 0) {
+    throw new Error(`❌ Invalid input:\n${formatValidationReport(inputErrors)}`);
   }
 
-  if (!Array.isArray(profiles) || profiles.length === 0) {
-    throw new Error('❌ profiles array is required and must contain at least one profile');
-  }
+  const caps = resolveCaps({ maxPerRun, maxPerDay, maxPerRecipient });
 
   console.log(`📧 Login email: ${loginEmail}`);
   console.log(`📝 Message: "${message}"`);
   console.log(`👥 Profiles to process: ${profiles.length}`);
   console.log(`🤖 Headless mode: ${headless}`);
+  if (dryRun) console.log("🧪 DRY RUN: no message will be typed or sent");
 
-  // Initialize dataset for results
-  const dataset = await Actor.openDataset();
-  const results = [];
-
-  // Launch Puppeteer with Apify proxy support
-  const browser = await puppeteer.launch({
-    headless,
-    defaultViewport: null,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-features=VizDisplayCompositor',
-      '--disable-web-security',
-      '--disable-features=site-per-process',
-      '--disable-extensions',
-      '--disable-plugins',
-      '--disable-images',
-      '--disable-javascript-harmony-shipping',
-      '--disable-background-timer-throttling',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      '--disable-field-trial-config',
-      '--disable-back-forward-cache',
-      '--disable-ipc-flooding-protection',
-      '--window-size=1366,768',
-    ],
-    ignoreDefaultArgs: ['--enable-automation'],
-    slowMo: 50,
-  });
-
-  try {
-    const page = await browser.newPage();
-
-    // Set realistic headers and user agent for Facebook
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-    );
-
-    await page.setExtraHTTPHeaders({
-      "Accept-Language": "en-US,en;q=0.9",
-      "Accept-Encoding": "gzip, deflate, br",
-      Accept:
-        "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
-      Connection: "keep-alive",
-      "Upgrade-Insecure-Requests": "1",
-      "Sec-Fetch-Dest": "document",
-      "Sec-Fetch-Mode": "navigate",
-      "Sec-Fetch-Site": "none",
-      "Cache-Control": "max-age=0",
-    });
-
-    // Override webdriver detection
-    await page.evaluateOnNewDocument(() => {
-      Object.defineProperty(navigator, "webdriver", {
-        get: () => undefined,
-      });
-
-      delete window.chrome.runtime.onConnect;
+  const storage = await createApifyStorage(Actor);
 
-      Object.defineProperty(navigator, "plugins", {
-        get: () => [1, 2, 3, 4, 5],
-      });
+  // Outreach policy: fail the run before the browser starts
+  const violations = lintMessage(
+    message,
+    resolvePolicy(await storage.readJson('messagePolicy', {}))
+  );
+  if (violations.length > 0) {
+    throw new Error(`❌ Message violates the outreach policy:\n${formatPolicyReport(violations)}`);
+  }
 
-      Object.defineProperty(navigator, "languages", {
-        get: () => ["en-US", "en"],
-      });
+  // Do-not-contact list persists across runs; input entries are added to it
+  const suppressionList = await storage.readJson('suppression', { entries: [] });
+  for (const target of suppress) {
+    const profile = parseSuppressionTarget(target);
+    addSuppression(suppressionList, {
+      profileId: profile.id,
+      url: profile.url,
+      source: 'actor-input',
     });
+  }
+  await storage.writeJson('suppression', suppressionList);
+  console.log(`🚫 Do-not-contact list: ${suppressionList.entries.length} profile(s)`);
 
-    console.log(`📋 Processing ${profiles.length} profiles...`);
-
-    // Establish Facebook session
-    console.log("🏠 Establishing Facebook session...");
-    try {
-      await page.goto("https://www.facebook.com", {
-        waitUntil: "domcontentloaded",
-        timeout: 30000,
-      });
-      await delay(rand(2000, 4000));
-
-      // Load existing cookies if available
-      if (loginEmail) {
-        const cookiesLoaded = await loadCookies(page, loginEmail);
-        if (cookiesLoaded) {
-          await page.reload({ waitUntil: "domcontentloaded" });
-          await delay(rand(2000, 3000));
-        }
-      }
-
-      // Check if login is required
-      const needsLogin = await isLoginRequired(page);
-      if (needsLogin) {
-        console.log("🔒 Login required, authenticating...");
-        await performFacebookLogin(page, loginEmail, loginPassword);
-        await saveCookies(page, loginEmail);
-      }
-    } catch (homeError) {
-      console.log("⚠️ Could not establish Facebook session, continuing anyway...");
-    }
-
-    // Process each profile
-    for (let i = 0; i < profiles.length; i++) {
-      const profile = profiles[i];
-
-      console.log(`\n📍 Profile ${i + 1}/${profiles.length}`);
-
-      try {
-        // Add random delay between profiles
-        if (i > 0) {
-          const pauseTime = delayBetweenProfiles + rand(-1000, 1000);
-          console.log(`⏸️ Pausing ${pauseTime}ms between profiles...`);
-          await delay(pauseTime);
-        }
-
-        const result = await sendMessageToProfile(page, profile, message, loginEmail);
-        
-        // Push to dataset and results array
-        const resultWithTimestamp = { 
-          timestamp: new Date().toISOString(), 
-          ...result 
-        };
-        
-        await dataset.pushData(resultWithTimestamp);
-        results.push(result);
-
-      } catch (err) {
-        const fail = {
-          success: false,
-          profileId: profile.id,
-          url: profile.url,
-          error: err.message,
-          timestamp: new Date().toISOString(),
-          messageButtonPresent: "No",
-          messageSent: "No"
-        };
-        
-        await dataset.pushData(fail);
-        results.push(fail);
-        console.error(`❌ Profile ${profile.id} failed:`, err.message);
-      }
-    }
-
-    // Final summary
-    const successful = results.filter((r) => r.success).length;
-    const failed = results.filter((r) => !r.success).length;
+  if (optOutPhrases) {
+    resolveOptOutPhrases(optOutPhrases); // throws on a malformed list
+    await storage.writeJson('optOutPhrases', optOutPhrases);
+  }
 
-    console.log("\n" + "=".repeat(50));
-    console.log("📊 FINAL RESULTS SUMMARY");
-    console.log("=".repeat(50));
-    console.log(`✅ Successful: ${successful}/${profiles.length}`);
-    console.log(`❌ Failed: ${failed}/${profiles.length}`);
+  // The actor input is the reviewed plan; print it so the run log records it
+  const plan = buildRunPlan({
+    profiles,
+    message,
+    caps,
+    consentLedger: await storage.readJson('consent', { records: {} }),
+    suppressionList,
+    dryRun,
+  });
+  printPlan(plan);
+
+  const results = await runCampaign(profiles, message, {
+    storage,
+    credentials: {
+      email: loginEmail,
+      password: loginPassword,
+      passphrase: cookiePassphrase,
+    },
+    planHash: planHash(plan),
+    caps,
+    dryRun,
+    headless,
+    delayBetweenProfiles,
+    operator: process.env.APIFY_USER_ID || null,
+  });
 
-    // Save summary to key-value store
-    const keyValueStore = await Actor.openKeyValueStore();
-    await keyValueStore.setValue('SUMMARY', {
-      totalProfiles: profiles.length,
-      successful,
-      failed,
-      successRate: `${Math.round((successful / profiles.length) * 100)}%`,
-      timestamp: new Date().toISOString()
-    });
+  // Final summary
+  const { successful, unconfirmed, failed, skipped, stop, halt } = summarizeResults(results);
+
+  console.log("\n" + "=".repeat(50));
+  console.log("📊 FINAL RESULTS SUMMARY");
+  console.log("=".repeat(50));
+  console.log(`✅ Successful: ${successful}/${profiles.length}`);
+  console.log(`⚠️ Unconfirmed: ${unconfirmed}/${profiles.length}`);
+  console.log(`⛔ Skipped: ${skipped}/${profiles.length}`);
+  console.log(`❌ Failed: ${failed}/${profiles.length}`);
+  if (stop) {
+    console.log(`🛑 Run stopped early: ${stop.reason} (${stop.remaining} profile(s) not processed)`);
+  }
 
-    console.log("🎉 Actor completed successfully!");
+  // Save summary to key-value store
+  await storage.store.setValue('SUMMARY', {
+    totalProfiles: profiles.length,
+    successful,
+    unconfirmed,
+    skipped,
+    failed,
+    successRate: `${Math.round((successful / profiles.length) * 100)}%`,
+    caps,
+    stoppedEarly: stop ? stop.reason : null,
+    halted: halt ? halt.reason : null,
+    timestamp: new Date().toISOString()
+  });
 
-  } catch (error) {
-    console.error("💥 Actor failed:", error.message);
-    throw error;
-  } finally {
-    await browser.close();
+  if (halt) {
+    throw new Error(`🛑 Run halted: ${halt.reason} (screenshot: ${halt.screenshot})`);
   }
-});
\ No newline at end of file
+
+  console.log("🎉 Actor completed successfully!");
+});
@@ -0,0 +1,166 @@
+/**
+ * audit.js
+ *
+ * Tamper-evident audit log of every run. Each entry carries the hash of the
+ * entry before it, so editing, reordering or removing an entry breaks the
+ * chain. The sequence number and hash of the newest entry are also kept in a
+ * separate head record, which is how truncating the end of the log is caught.
+ *
+ * Entries (audit.jsonl for the CLI, "audit" dataset for the actor):
+ *   run-start  operator, message hash, profile and recipient counts, caps
+ *   attempt    one per profile messaged, with the consent record relied on
+ *   skip       one per profile skipped, with the reason
+ *   opt-out    recipient suppressed after an opt-out reply
+ *   stop/halt  why the run ended early
+ *   run-end    totals
+ *
+ * Every entry has { seq, at, runId, type, ..., prevHash, hash }, where hash is
+ * an HMAC-SHA256 of the entry without `hash`, serialised with sorted keys.
+ * Head record (audit-head.json / AUDIT_HEAD): { seq, hash }.
+ *
+ * The HMAC key is derived from the vault passphrase (CLI) or the cookie
+ * passphrase (actor), so someone who can edit the log but doesn't know the
+ * passphrase can't recompute the chain after changing it. Use the same
+ * passphrase for every run; entries written under another one won't verify.
+ * The log can't prove its own existence: a missing log is reported as such,
+ * and rolling the log and head back together to an earlier state is only
+ * caught by comparing against a head hash kept elsewhere (verify-audit prints
+ * it).
+ */
+
+const crypto = require("crypto");
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Fixed salt: the same passphrase must always give the same key
+const AUDIT_KEY_SALT = "automessage-audit-v1";
+
+/* --------------------------------- Hashing -------------------------------- */
+
+// JSON with object keys sorted, so the hash doesn't depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function deriveAuditKey(passphrase) {
+  if (!passphrase) {
+    throw new Error("A passphrase is required to key the audit log");
+  }
+  return crypto.scryptSync(String(passphrase), AUDIT_KEY_SALT, 32);
+}
+
+function hashEntry(entry, key) {
+  if (!key) throw new Error("hashEntry needs the audit key");
+  const { hash, ...rest } = entry;
+  return crypto.createHmac("sha256", key).update(canonicalJson(rest)).digest("hex");
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+/* --------------------------------- Writing -------------------------------- */
+
+/**
+ * Audit log for one run, written through a storage adapter
+ * (appendAudit / readJson("auditHead") / writeJson("auditHead")).
+ * `key` comes from deriveAuditKey.
+ */
+async function createAuditLog(storage, runId, key) {
+  if (!key) throw new Error("createAuditLog needs the audit key");
+  let head = await storage.readJson("auditHead", { seq: 0, hash: GENESIS_HASH });
+
+  return {
+    runId,
+
+    async append(type, data = {}) {
+      const entry = {
+        seq: head.seq + 1,
+        at: new Date().toISOString(),
+        runId,
+        type,
+        ...data,
+        prevHash: head.hash,
+      };
+      entry.hash = hashEntry(entry, key);
+
+      await storage.appendAudit(entry);
+      head = { seq: entry.seq, hash: entry.hash };
+      await storage.writeJson("auditHead", head);
+      return entry;
+    },
+
+    head: () => head,
+  };
+}
+
+/* -------------------------------- Verifying ------------------------------- */
+
+/**
+ * Checks the whole chain against the head record with the key it was written
+ * with. Returns { ok, entries, problems: [{ seq, problem }] }. An empty log is
+ * never ok: there is nothing to vouch for.
+ */
+function verifyAuditLog(entries, head, key) {
+  const problems = [];
+  let prevHash = GENESIS_HASH;
+
+  if (entries.length === 0) {
+    problems.push({ seq: null, problem: "log is empty or missing" });
+  }
+
+  entries.forEach((entry, index) => {
+    const expectedSeq = index + 1;
+    if (entry.seq !== expectedSeq) {
+      problems.push({
+        seq: expectedSeq,
+        problem: `sequence number is ${entry.seq}, expected ${expectedSeq} (entry removed or reordered)`,
+      });
+    }
+    if (entry.prevHash !== prevHash) {
+      problems.push({
+        seq: expectedSeq,
+        problem: "does not chain to the previous entry (entry removed, inserted or edited)",
+      });
+    }
+    if (hashEntry(entry, key) !== entry.hash) {
+      problems.push({
+        seq: expectedSeq,
+        problem: "content does not match its hash (entry edited, or wrong passphrase)",
+      });
+    }
+    prevHash = entry.hash;
+  });
+
+  const last = entries[entries.length - 1];
+  if (!head) {
+    problems.push({ seq: null, problem: "head record is missing" });
+  } else if (!last || head.seq !== last.seq || head.hash !== last.hash) {
+    problems.push({
+      seq: last ? last.seq : 0,
+      problem: `log ends at entry ${last ? last.seq : 0} but the head record says ${head.seq} (log truncated or head edited)`,
+    });
+  }
+
+  return { ok: problems.length === 0, entries: entries.length, problems };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  deriveAuditKey,
+  hashEntry,
+  sha256,
+  createAuditLog,
+  verifyAuditLog,
+};
@@ -0,0 +1,117 @@
+/**
+ * caps.js
+ *
+ * Hard send caps backed by persistent counters. Every message actually sent is
+ * recorded so limits hold across runs, not just within one.
+ *
+ * Counters format (send-counters.json for the CLI, SEND_COUNTERS record for
+ * the actor):
+ * {
+ *   "sends": [
+ *     { "at": "2025-08-30T19:00:00.000Z", "profileId": "profile-001", "url": "https://..." }
+ *   ]
+ * }
+ */
+
+const { normalizeProfileUrl } = require("./profiles");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Deliberately conservative: raising them has to be an explicit decision
+const DEFAULT_CAPS = {
+  maxPerRun: 10,
+  maxPerDay: 25,
+  maxPerRecipient: 1,
+  recipientWindowDays: 30,
+};
+
+/* ------------------------------ Cap settings ------------------------------ */
+
+function resolveCaps(overrides = {}) {
+  const caps = { ...DEFAULT_CAPS };
+
+  for (const key of Object.keys(DEFAULT_CAPS)) {
+    const value = overrides[key];
+    if (value === undefined || value === null || value === "") continue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${key} must be a non-negative integer (got "${value}")`);
+    }
+    caps[key] = number;
+  }
+
+  return caps;
+}
+
+/* ------------------------------- Cap checks ------------------------------- */
+
+function sendsSince(counters, since, profile = null) {
+  const url = profile && normalizeProfileUrl(profile.url);
+
+  return counters.sends.filter((send) => {
+    if (new Date(send.at) <= since) return false;
+    if (!profile) return true;
+    return (
+      (profile.id && send.profileId === profile.id) ||
+      (!!url && normalizeProfileUrl(send.url) === url)
+    );
+  }).length;
+}
+
+/**
+ * Returns { allowed: true } or { allowed: false, scope, reason }. A "run" or
+ * "day" scope means the run must stop; "recipient" only rules out this profile.
+ */
+function checkCaps(counters, caps, { profile, sentThisRun, now = new Date() }) {
+  if (sentThisRun >= caps.maxPerRun) {
+    return {
+      allowed: false,
+      scope: "run",
+      reason: `Per-run cap reached (${caps.maxPerRun} messages)`,
+    };
+  }
+
+  const sentToday = sendsSince(counters, new Date(now.getTime() - DAY_MS));
+  if (sentToday >= caps.maxPerDay) {
+    return {
+      allowed: false,
+      scope: "day",
+      reason: `Rolling 24h cap reached (${caps.maxPerDay} messages)`,
+    };
+  }
+
+  const windowStart = new Date(
+    now.getTime() - caps.recipientWindowDays * DAY_MS
+  );
+  if (sendsSince(counters, windowStart, profile) >= caps.maxPerRecipient) {
+    return {
+      allowed: false,
+      scope: "recipient",
+      reason: `Per-recipient cap reached (${caps.maxPerRecipient} per ${caps.recipientWindowDays} days)`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+function recordSend(counters, profile, caps, now = new Date()) {
+  // Only keep what the longest window still needs
+  const keepFrom = now.getTime() - Math.max(caps.recipientWindowDays, 1) * DAY_MS;
+  counters.sends = counters.sends.filter(
+    (send) => new Date(send.at).getTime() > keepFrom
+  );
+  counters.sends.push({
+    at: now.toISOString(),
+    profileId: profile.id || null,
+    url: profile.url || null,
+  });
+}
+
+module.exports = {
+  DEFAULT_CAPS,
+  resolveCaps,
+  checkCaps,
+  recordSend,
+};
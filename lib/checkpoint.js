@@ -0,0 +1,112 @@
+/**
+ * checkpoint.js
+ *
+ * Detection of Facebook CAPTCHAs, checkpoints, temporary blocks and rate-limit
+ * notices. Any of these means Facebook wants us to slow down or prove who we
+ * are, so the run halts and reports instead of trying to get past it.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+
+class HaltError extends Error {
+  constructor(kind, message, details = {}) {
+    super(message);
+    this.name = "HaltError";
+    this.kind = kind;
+    this.url = details.url || null;
+    this.evidence = details.evidence || null;
+    this.step = details.step || null;
+  }
+}
+
+/* ------------------------------- Detection -------------------------------- */
+
+const BLOCK_PHRASES = {
+  checkpoint: [
+    "security check",
+    "confirm your identity",
+    "confirm it's you",
+    "we suspended your account",
+    "your account has been locked",
+  ],
+  blocked: [
+    "you're temporarily blocked",
+    "you’re temporarily blocked",
+    "you've been temporarily blocked",
+    "you can't use this feature right now",
+    "you can’t use this feature right now",
+    "temporarily restricted",
+  ],
+  "rate-limit": [
+    "going too fast",
+    "you've reached the limit",
+    "misusing this feature",
+    "too many requests",
+  ],
+};
+
+/**
+ * Returns null when the page looks normal, otherwise { kind, evidence } where
+ * kind is one of "captcha", "checkpoint", "blocked" or "rate-limit".
+ */
+async function detectCheckpoint(page) {
+  const url = page.url();
+  if (/\/checkpoint\b/i.test(url)) {
+    return { kind: "checkpoint", evidence: url };
+  }
+
+  return page.evaluate((phrases) => {
+    const frames = Array.from(document.querySelectorAll("iframe"));
+    const captchaFrame = frames.find((f) =>
+      /recaptcha|hcaptcha|arkoselabs|funcaptcha/i.test(f.src || "")
+    );
+    if (captchaFrame) return { kind: "captcha", evidence: captchaFrame.src };
+    if (document.querySelector('.captcha, [id*="captcha"], [class*="captcha"]')) {
+      return { kind: "captcha", evidence: "captcha element on page" };
+    }
+
+    const text = document.body ? document.body.innerText.toLowerCase() : "";
+    for (const [kind, list] of Object.entries(phrases)) {
+      const phrase = list.find((p) => text.includes(p));
+      if (phrase) return { kind, evidence: phrase };
+    }
+
+    return null;
+  }, BLOCK_PHRASES);
+}
+
+async function assertNotBlocked(page, step) {
+  const found = await detectCheckpoint(page);
+  if (found) {
+    throw new HaltError(
+      found.kind,
+      `Facebook showed a ${found.kind} page during ${step}`,
+      { url: page.url(), evidence: found.evidence, step }
+    );
+  }
+}
+
+/* -------------------------------- Reporting ------------------------------- */
+
+async function saveHaltScreenshot(page, dir) {
+  try {
+    await fs.ensureDir(dir);
+    const file = path.join(
+      dir,
+      `halt-${new Date().toISOString().replace(/[:.]/g, "-")}.png`
+    );
+    await page.screenshot({ path: file, fullPage: true });
+    return file;
+  } catch (err) {
+    console.warn("Failed to save halt screenshot:", err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  HaltError,
+  detectCheckpoint,
+  assertNotBlocked,
+  saveHaltScreenshot,
+};
@@ -0,0 +1,129 @@
+/**
+ * consent.js
+ *
+ * Consent ledger: records when and how each recipient opted in to being
+ * contacted. A profile may only be messaged while it has a valid, unexpired
+ * and unrevoked consent record.
+ *
+ * Ledger format (consent.json for the CLI, CONSENT record for the actor):
+ * {
+ *   "records": {
+ *     "id:profile-001": {
+ *       "profileId": "profile-001",
+ *       "url": "https://www.facebook.com/username",
+ *       "grantedAt": "2025-08-01T10:00:00.000Z",
+ *       "method": "signup-form",
+ *       "evidence": "Newsletter form submission #1234",
+ *       "expiresAt": "2026-08-01T10:00:00.000Z"
+ *     }
+ *   }
+ * }
+ */
+
+const { normalizeProfileUrl, profileKeys } = require("./profiles");
+
+// Records without an explicit expiry are only honoured for this long
+const DEFAULT_CONSENT_TTL_DAYS = 365;
+
+/* ----------------------------- Ledger queries ----------------------------- */
+
+function findConsent(ledger, profile) {
+  const records = Object.values((ledger && ledger.records) || {});
+  const url = normalizeProfileUrl(profile.url);
+
+  // Ids are free-form labels, so an id match only counts when the URLs (if
+  // both sides have one) are the same person too
+  const sameUrl = (r) => !url || !r.url || normalizeProfileUrl(r.url) === url;
+
+  return (
+    records.find((r) => profile.id && r.profileId === profile.id && sameUrl(r)) ||
+    records.find((r) => url && normalizeProfileUrl(r.url) === url) ||
+    null
+  );
+}
+
+// An unparseable date is an Invalid Date, which compares false against
+// everything; callers must check for it rather than let it pass as valid
+function isValidDate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+function consentExpiry(record) {
+  if (record.expiresAt) return new Date(record.expiresAt);
+  const granted = new Date(record.grantedAt);
+  return new Date(
+    granted.getTime() + DEFAULT_CONSENT_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+}
+
+function checkConsent(ledger, profile, now = new Date()) {
+  const record = findConsent(ledger, profile);
+
+  if (!record) return { valid: false, reason: "no-record", record: null };
+  if (!record.grantedAt || !record.method) {
+    return { valid: false, reason: "incomplete", record };
+  }
+  if (record.revokedAt) return { valid: false, reason: "revoked", record };
+  if (
+    !isValidDate(new Date(record.grantedAt)) ||
+    !isValidDate(consentExpiry(record))
+  ) {
+    return { valid: false, reason: "incomplete", record };
+  }
+  if (new Date(record.grantedAt) > now) {
+    return { valid: false, reason: "not-yet-granted", record };
+  }
+  if (consentExpiry(record) <= now) {
+    return { valid: false, reason: "expired", record };
+  }
+
+  return { valid: true, reason: null, record };
+}
+
+/* ----------------------------- Ledger updates ----------------------------- */
+
+function recordConsent(ledger, entry) {
+  const { profileId, url, method, evidence = null } = entry;
+
+  if (!profileId && !url) {
+    throw new Error("Consent record needs a profile id or URL");
+  }
+  if (!method) {
+    throw new Error("Consent record needs the opt-in method");
+  }
+  for (const field of ["grantedAt", "expiresAt"]) {
+    if (entry[field] && !isValidDate(new Date(entry[field]))) {
+      throw new Error(
+        `Consent ${field} "${entry[field]}" is not a valid date (use ISO 8601, e.g. 2026-08-01)`
+      );
+    }
+  }
+
+  const record = {
+    profileId: profileId || null,
+    url: url || null,
+    grantedAt: entry.grantedAt || new Date().toISOString(),
+    method,
+    evidence,
+    expiresAt: entry.expiresAt || null,
+  };
+
+  const [key] = profileKeys({ id: profileId, url });
+  ledger.records[key] = record;
+  return record;
+}
+
+function revokeConsent(ledger, profile, when = new Date()) {
+  const record = findConsent(ledger, profile);
+  if (!record) return null;
+  record.revokedAt = when.toISOString();
+  return record;
+}
+
+module.exports = {
+  DEFAULT_CONSENT_TTL_DAYS,
+  findConsent,
+  checkConsent,
+  recordConsent,
+  revokeConsent,
+};
@@ -0,0 +1,1259 @@
+/**
+ * core.js
+ *
+ * Shared Facebook messaging core used by both front ends: the CLI
+ * (messenger.js) and the Apify actor (gpt.js). Everything that touches the
+ * browser or enforces a safeguard lives here, once.
+ *
+ * Persistence is pluggable: every function that reads or writes state takes a
+ * storage adapter (lib/storage/fs.js or lib/storage/apify.js) with this shape:
+ *
+ *   readJson(name, fallback)                  name: consent | suppression | counters
+ *                                                   | optOutPhrases | messagePolicy
+ *                                                   | auditHead
+ *   writeJson(name, value)
+ *   logResult(record)                         results.jsonl line / dataset item
+ *   appendAudit(entry) / readAudit()          audit chain, see audit.js
+ *   loadCookies(email, passphrase)            -> cookie array or null
+ *   saveCookies(email, cookies, passphrase)
+ *   saveScreenshot(page)                      -> file path / record key or null
+ */
+
+const crypto = require("crypto");
+const puppeteer = require("puppeteer-extra");
+const StealthPlugin = require("puppeteer-extra-plugin-stealth");
+
+const { checkConsent } = require("./consent");
+const { findSuppression, addSuppression } = require("./suppression");
+const { resolveCaps, checkCaps, recordSend } = require("./caps");
+const { HaltError, assertNotBlocked } = require("./checkpoint");
+const { buildRunPlan, planHash } = require("./preflight");
+const { resolveOptOutPhrases, matchOptOut } = require("./optout");
+const {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  assertMessagePolicy,
+} = require("./policy");
+const { createAuditLog, deriveAuditKey, sha256 } = require("./audit");
+const { assertValidProfiles } = require("./validate");
+const { AutomationError, classifyError } = require("./errors");
+const { normalizeProfileUrl } = require("./profiles");
+
+puppeteer.use(StealthPlugin());
+
+/* ---------------------------- Utility helpers ---------------------------- */
+
+function rand(min = 100, max = 1000) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// DELAY_SCALE shrinks the human-like pauses, e.g. for the offline test suite
+const DELAY_SCALE = Number(process.env.DELAY_SCALE || 1);
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms * DELAY_SCALE));
+}
+
+/* --------------------------- Human-like actions -------------------------- */
+
+async function humanType(elementHandle, text, opts = {}) {
+  const { min = 80, max = 200 } = opts;
+  await elementHandle.click({ clickCount: 3 }); // Select all existing text
+  await delay(rand(100, 300));
+
+  await typeLines(elementHandle.frame.page(), text, async (line) => {
+    for (const char of line) {
+      await elementHandle.type(char);
+      await delay(rand(min, max));
+    }
+  });
+}
+
+async function humanMove(page, from, to, steps = 20) {
+  const dx = (to.x - from.x) / steps;
+  const dy = (to.y - from.y) / steps;
+  for (let i = 0; i <= steps; i += 1) {
+    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
+    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
+    await page.mouse.move(x, y);
+    await delay(rand(5, 30));
+  }
+}
+
+async function humanScroll(page, distance = 300, steps = 10) {
+  for (let i = 0; i < steps; i += 1) {
+    await page.evaluate((amount) => {
+      window.scrollBy(0, amount);
+    }, Math.round(distance / steps));
+    await delay(rand(100, 350));
+  }
+}
+
+async function humanClick(page, element) {
+  const box = await element.boundingBox();
+  if (box) {
+    const x = box.x + box.width / 2 + rand(-5, 5);
+    const y = box.y + box.height / 2 + rand(-5, 5);
+    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
+    await element.click({ delay: rand(50, 150) });
+  }
+}
+
+/* -------------------------- Session Persistence -------------------------- */
+
+async function loadSession(page, storage, credentials) {
+  if (!storage || !credentials) return false;
+
+  try {
+    const cookies = await storage.loadCookies(
+      credentials.email,
+      credentials.passphrase
+    );
+    if (cookies && cookies.length > 0) {
+      await page.setCookie(...cookies);
+      return true;
+    }
+  } catch (err) {
+    console.warn("Failed to set cookies:", err.message);
+  }
+  return false;
+}
+
+async function saveSession(page, storage, credentials) {
+  if (!storage) return;
+  const cookies = await page.cookies();
+  await storage.saveCookies(credentials.email, cookies, credentials.passphrase);
+}
+
+/* ---------------------------- Login Detection & Handling --------------------------- */
+
+async function isLoginRequired(page) {
+  // Check if we're on a login page or redirected to login
+  const currentUrl = page.url();
+  const isLoginPage =
+    currentUrl.includes("/login") ||
+    currentUrl.includes("/signin") ||
+    currentUrl.includes("login.facebook.com") ||
+    currentUrl.includes("m.facebook.com/login");
+
+  if (isLoginPage) return true;
+
+  // Check for login-related elements on the page
+  const loginElements = await page.evaluate(() => {
+    const hasLoginForm = !!document.querySelector(
+      'input[name="email"], input[type="email"], #email'
+    );
+    const hasPasswordField = !!document.querySelector(
+      'input[name="pass"], input[name="password"], input[type="password"]'
+    );
+    const hasLoginButton = !!document.querySelector(
+      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
+    );
+    const hasLoginText =
+      document.body.textContent.toLowerCase().includes("log in") ||
+      document.body.textContent.toLowerCase().includes("sign in");
+
+    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
+  });
+
+  return loginElements;
+}
+
+async function performFacebookLogin(page, email, password) {
+  console.log("🔐 Performing Facebook login...");
+
+  try {
+    // Wait for login form elements
+    await page.waitForSelector('input[name="email"], input[type="email"]', {
+      timeout: 10000,
+    });
+
+    // Fill email
+    const emailField = await page.$('input[name="email"], input[type="email"]');
+    if (emailField) {
+      await humanClick(page, emailField);
+      await delay(rand(300, 600));
+      await humanType(emailField, email, { min: 80, max: 180 });
+      await delay(rand(400, 800));
+    } else {
+      throw new AutomationError("LOGIN_FAILED", "Email field not found", { step: "login" });
+    }
+
+    // Fill password
+    const passwordField = await page.$(
+      'input[name="pass"], input[type="password"]'
+    );
+    if (passwordField) {
+      await humanClick(page, passwordField);
+      await delay(rand(300, 600));
+      await humanType(passwordField, password, { min: 80, max: 180 });
+      await delay(rand(500, 1000));
+    } else {
+      throw new AutomationError("LOGIN_FAILED", "Password field not found", { step: "login" });
+    }
+
+    // Click login button
+    const loginButton = await page.$(
+      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
+    );
+    if (loginButton) {
+      await humanClick(page, loginButton);
+    } else {
+      // Fallback: press Enter
+      await page.keyboard.press("Enter");
+    }
+
+    console.log("⏳ Waiting for login to complete...");
+
+    // Wait for navigation or login completion
+    await Promise.race([
+      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
+      delay(5000), // Sometimes FB doesn't navigate, just updates the page
+    ]);
+
+    await delay(rand(2000, 4000));
+
+    // CAPTCHA / checkpoint after login: stop, never try to get past it
+    await assertNotBlocked(page, "login");
+
+    // Check if login was successful
+    const stillOnLoginPage = await isLoginRequired(page);
+    if (stillOnLoginPage) {
+      // Check for error messages
+      const errorMessage = await page.evaluate(() => {
+        const errorElements = document.querySelectorAll(
+          '[role="alert"], .error, [id*="error"]'
+        );
+        for (const el of errorElements) {
+          if (el.textContent.trim()) return el.textContent.trim();
+        }
+        return null;
+      });
+
+      if (errorMessage) {
+        throw new AutomationError("LOGIN_FAILED", `Login failed: ${errorMessage}`, {
+          step: "login",
+        });
+      } else {
+        throw new AutomationError("LOGIN_FAILED", "Login failed: Still on login page", {
+          step: "login",
+        });
+      }
+    }
+
+    console.log("✅ Facebook login successful!");
+    return true;
+  } catch (error) {
+    console.error("❌ Facebook login failed:", error.message);
+    throw error;
+  }
+}
+
+/* ------------------------- Send message to profile ------------------------ */
+
+const MESSAGE_BUTTON_SELECTOR = 'div[aria-label="Message"][role="button"]';
+
+const MESSAGE_INPUT_SELECTORS = [
+  'div[aria-label="Message"][role="textbox"][contenteditable="true"]',
+];
+
+const SEND_SELECTORS = [
+  'div.xsrhx6k[role="button"]', // div button (class-based)
+  "div.x5yr21d svg.xsrhx6k", // svg inside container
+  'svg.xsrhx6k[aria-label="Send"]', // svg directly labeled as Send
+];
+
+async function findFirst(page, selectors) {
+  for (const selector of selectors) {
+    try {
+      const element = await page.$(selector);
+      if (element) return { selector, element };
+    } catch (e) {}
+  }
+  return { selector: null, element: null };
+}
+
+async function findSendButton(page) {
+  const found = await findFirst(page, SEND_SELECTORS);
+  if (found.element) {
+    console.log(`📤 Found send button with selector: ${found.selector}`);
+  }
+  return found;
+}
+
+async function openChat(page, messageButton) {
+  console.log("🖱️ Clicking message button...");
+  await humanClick(page, messageButton);
+
+  await Promise.race([
+    page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
+    page.waitForSelector("textarea", { timeout: 15000 }),
+    page.waitForNavigation({
+      waitUntil: "domcontentloaded",
+      timeout: 15000,
+    }),
+    delay(10000),
+  ]).catch(() => {});
+
+  await delay(rand(2000, 4000));
+  await assertNotBlocked(page, "opening the chat");
+}
+
+// Enter sends in Messenger, so line breaks are typed as Shift+Enter
+async function typeLines(page, message, typeLine) {
+  const lines = message.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i += 1) {
+    if (i > 0) {
+      await page.keyboard.down("Shift");
+      await page.keyboard.press("Enter");
+      await page.keyboard.up("Shift");
+    }
+    if (lines[i]) await typeLine(lines[i]);
+  }
+}
+
+/* ---------------------------- Send verification --------------------------- */
+
+// Shown by Messenger on a bubble that didn't go out
+const SEND_FAILURE_PHRASES = [
+  "failed to send",
+  "couldn't send",
+  "could not send",
+  "not sent",
+  "message not sent",
+];
+
+const SEND_CONFIRM_CHECKS = 10;
+
+// Thread rows containing `message`, and whether any of them is marked failed
+async function findMessageBubbles(page, message) {
+  return page.evaluate(
+    (text, failurePhrases) => {
+      const normalize = (value) => value.replace(/\s+/g, " ").trim();
+      const wanted = normalize(text);
+      const rows = [...document.querySelectorAll('[role="row"]')].filter(
+        (row) => normalize(row.innerText || "").includes(wanted)
+      );
+      return {
+        count: rows.length,
+        failed: rows.some((row) => {
+          const rowText = (row.innerText || "").toLowerCase();
+          return failurePhrases.some((phrase) => rowText.includes(phrase));
+        }),
+      };
+    },
+    message,
+    SEND_FAILURE_PHRASES
+  );
+}
+
+async function composerText(page) {
+  const { element } = await findFirst(page, MESSAGE_INPUT_SELECTORS);
+  if (!element) return "";
+  return element.evaluate((el) => (el.innerText || el.value || "").trim());
+}
+
+/**
+ * Waits for the message just sent to show up as a new bubble in the thread.
+ * `bubblesBefore` is the number of matching bubbles before sending, so an
+ * identical earlier message isn't mistaken for this one. Returns:
+ *   confirmed    a new bubble with the message appeared
+ *   failed       the bubble is marked as not sent, or the text never left
+ *                the composer
+ *   unconfirmed  neither; the message may or may not have gone out
+ */
+async function verifySend(page, message, bubblesBefore) {
+  for (let check = 0; check < SEND_CONFIRM_CHECKS; check += 1) {
+    await delay(rand(800, 1200));
+    const bubbles = await findMessageBubbles(page, message);
+    if (bubbles.failed) return "failed";
+    if (bubbles.count > bubblesBefore) return "confirmed";
+  }
+
+  const leftover = await composerText(page);
+  if (leftover && leftover.includes(message.trim())) return "failed";
+  return "unconfirmed";
+}
+
+async function navigateToProfile(page, profile) {
+  // Navigate with retry mechanism and longer timeout
+  console.log("🌐 Navigating to profile...");
+  const maxAttempts = 3;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    try {
+      console.log(`   Attempt ${attempt}/${maxAttempts}...`);
+
+      await page.goto(profile.url, {
+        waitUntil: "domcontentloaded",
+        timeout: 45000,
+      });
+
+      await delay(rand(3000, 6000));
+
+      const pageLoaded = await page.evaluate(() => {
+        return (
+          document.readyState === "complete" ||
+          document.querySelector("body") !== null
+        );
+      });
+
+      if (!pageLoaded) throw new Error("Page did not load properly");
+
+      console.log("✅ Page loaded successfully");
+      return;
+    } catch (navError) {
+      console.log(
+        `⚠️ Navigation attempt ${attempt} failed: ${navError.message}`
+      );
+      if (attempt === maxAttempts) {
+        throw new AutomationError(
+          navError.name === "TimeoutError" ? "NAV_TIMEOUT" : "NAV_FAILED",
+          `Failed to load profile after ${maxAttempts} attempts: ${navError.message}`,
+          { step: "navigate" }
+        );
+      }
+      await delay(rand(2000, 4000));
+    }
+  }
+}
+
+/**
+ * Real sends carry a `delivery` field (see verifySend) and only count as a
+ * success once the message is confirmed in the thread. `messageSent` still
+ * records whether the send button was pressed, so caps count every attempt.
+ * Anything short of a confirmed send carries `errorCode`, `error` and
+ * `errorStep` (see errors.js).
+ *
+ * Options:
+ *   dryRun       stop once the message input is found; never type or send
+ *   credentials  { email, password, passphrase } used when login is required
+ *   storage      adapter the session cookies are loaded from and saved to
+ */
+async function sendMessageToProfile(page, profile, message, options = {}) {
+  const start = Date.now();
+  const { dryRun = false, credentials, storage } = options;
+
+  let messageButtonPresent = "No";
+  let messageSent = "No";
+  let delivery = null;
+  // Dry runs report how far they got instead of sending
+  let inputFound = "No";
+  let sendSelectorMatched = null;
+  let step = "session";
+
+  try {
+    console.log(`\n🎯 Processing profile: ${profile.id}`);
+    console.log(`🔗 URL: ${profile.url}`);
+
+    // Load cookies first to maintain session
+    await loadSession(page, storage, credentials);
+
+    step = "navigate";
+    await navigateToProfile(page, profile);
+    await assertNotBlocked(page, "profile navigation");
+
+    // Check if login required
+    if (await isLoginRequired(page)) {
+      step = "login";
+      if (!credentials) {
+        throw new AutomationError(
+          "LOGIN_REQUIRED",
+          "Login required but no credentials were provided"
+        );
+      }
+      console.log("🔒 Login required, authenticating...");
+      await performFacebookLogin(page, credentials.email, credentials.password);
+      await saveSession(page, storage, credentials);
+
+      console.log("🔄 Returning to profile after login...");
+      step = "navigate";
+      await page.goto(profile.url, {
+        waitUntil: "domcontentloaded",
+        timeout: 45000,
+      });
+      await delay(rand(3000, 5000));
+      await assertNotBlocked(page, "profile navigation");
+    }
+
+    // Human-like behavior
+    console.log("👀 Simulating human browsing behavior...");
+    await humanScroll(page, rand(200, 500), rand(3, 6));
+    await delay(rand(2000, 4000));
+
+    // Look for messaging interface
+    console.log("🔍 Looking for messaging interface...");
+    step = "open-chat";
+    const messageButton = await page.$(MESSAGE_BUTTON_SELECTOR);
+    if (!messageButton) {
+      throw new AutomationError(
+        "NO_MESSAGE_BUTTON",
+        "Profile unavailable or no messaging option found"
+      );
+    }
+
+    messageButtonPresent = "Yes";
+    await openChat(page, messageButton);
+
+    const { selector: inputSelector, element: messageInput } = await findFirst(
+      page,
+      MESSAGE_INPUT_SELECTORS
+    );
+    if (!messageInput) {
+      throw new AutomationError("NO_INPUT", "Message input field not found");
+    }
+    console.log(`⌨️ Found message input with selector: ${inputSelector}`);
+    inputFound = "Yes";
+
+    if (dryRun) {
+      ({ selector: sendSelectorMatched } = await findSendButton(page));
+      console.log("🧪 Dry run: message input found, not typing or sending");
+    } else {
+      console.log("📝 Typing message...");
+      step = "type";
+      await humanClick(page, messageInput);
+      await delay(rand(500, 1000));
+
+      const isContentEditable = await messageInput.evaluate(
+        (el) => el.contentEditable === "true"
+      );
+      if (isContentEditable) {
+        await messageInput.focus();
+        await page.keyboard.down("Control");
+        await page.keyboard.press("a");
+        await page.keyboard.up("Control");
+        await delay(100);
+        await typeLines(page, message, (line) => messageInput.type(line));
+      } else {
+        await humanType(messageInput, message, { min: 100, max: 250 });
+      }
+
+      await delay(rand(1000, 2000));
+
+      step = "send";
+      const { count: bubblesBefore } = await findMessageBubbles(page, message);
+      const { element: sendButton } = await findSendButton(page);
+      if (sendButton) {
+        console.log("📤 Sending message...");
+        await humanClick(page, sendButton);
+      } else {
+        console.log("📤 Trying Enter key to send...");
+        await page.keyboard.press("Enter");
+      }
+      messageSent = "Yes";
+
+      step = "verify";
+      delivery = await verifySend(page, message, bubblesBefore);
+      await assertNotBlocked(page, "sending");
+      if (delivery === "failed") {
+        throw new AutomationError("SEND_FAILED", "Messenger did not send the message");
+      }
+      if (delivery === "confirmed") {
+        console.log("✅ Message sent and confirmed in the conversation");
+      } else {
+        console.warn("⚠️ Message sent but it did not show up in the conversation");
+      }
+    }
+
+    return {
+      success: dryRun || delivery === "confirmed",
+      profileId: profile.id,
+      url: profile.url,
+      durationMs: Date.now() - start,
+      message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
+      messageButtonPresent,
+      messageSent,
+      ...(dryRun
+        ? { dryRun, inputFound, sendSelectorMatched }
+        : { delivery }),
+      ...(delivery === "unconfirmed" && {
+        errorCode: "SEND_UNCONFIRMED",
+        error: "Message was sent but did not show up in the conversation",
+        errorStep: step,
+      }),
+    };
+  } catch (err) {
+    // Blocks and checkpoints end the whole run, not just this profile. A
+    // message that already went out rides along on the halt as `attempt`,
+    // so the run still counts and logs it
+    if (err instanceof HaltError) {
+      if (messageSent === "Yes") {
+        err.attempt = {
+          success: delivery === "confirmed",
+          profileId: profile.id,
+          url: profile.url,
+          durationMs: Date.now() - start,
+          message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
+          messageButtonPresent,
+          messageSent,
+          delivery,
+        };
+      }
+      throw err;
+    }
+
+    console.error(`❌ Failed to send message to ${profile.id}: ${err.message}`);
+    return {
+      success: false,
+      profileId: profile.id,
+      url: profile.url,
+      ...classifyError(err, step),
+      durationMs: Date.now() - start,
+      messageButtonPresent,
+      messageSent,
+      ...(dryRun
+        ? { dryRun, inputFound, sendSelectorMatched }
+        : { delivery: "failed" }),
+    };
+  }
+}
+
+/* ---------------------------- Opt-out replies ----------------------------- */
+
+// Messenger labels every message row for screen readers with a visually
+// hidden heading: "You sent" on ours, the contact's name on theirs
+const THREAD_ROW_SELECTOR = '[role="row"]';
+const SENDER_HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+const OWN_SENDER_LABEL = /^you sent\b/i;
+
+// Text of the messages in the open thread that were sent by the contact.
+// Direction comes only from the sender heading: guessing it from the layout
+// let our own bubbles from earlier campaigns pass for replies. Rows without a
+// heading are skipped, and rows containing our own message are always ours.
+// A thread where no row has a heading can't be read at all; that throws
+// INBOX_UNREADABLE instead of reporting no opt-outs.
+async function readIncomingMessages(page, sentMessage) {
+  const { rows, labelled, incoming } = await page.evaluate(
+    (rowSelector, headingSelector, ownLabel, ours) => {
+      const normalize = (value) => value.replace(/\s+/g, " ").trim();
+      const own = normalize(ours || "");
+      const ownSender = new RegExp(ownLabel, "i");
+      const thread = [...document.querySelectorAll(rowSelector)];
+      const messages = [];
+
+      for (const row of thread) {
+        const heading = row.querySelector(headingSelector);
+        if (!heading) continue;
+        const sender = normalize(heading.textContent || "");
+        const body = row.cloneNode(true);
+        body.querySelectorAll(headingSelector).forEach((el) => el.remove());
+        messages.push({
+          incoming: Boolean(sender) && !ownSender.test(sender),
+          text: normalize(body.textContent || ""),
+        });
+      }
+
+      return {
+        rows: thread.length,
+        labelled: messages.length,
+        incoming: messages
+          .filter((m) => m.incoming && m.text && !(own && m.text.includes(own)))
+          .map((m) => m.text),
+      };
+    },
+    THREAD_ROW_SELECTOR,
+    SENDER_HEADING_SELECTOR,
+    OWN_SENDER_LABEL.source,
+    sentMessage
+  );
+
+  if (rows > 0 && labelled === 0) {
+    throw new AutomationError(
+      "INBOX_UNREADABLE",
+      `None of the ${rows} message(s) in the thread says who sent it`,
+      { step: "inbox scan" }
+    );
+  }
+  return incoming;
+}
+
+// Everyone messaged within the counters' window, once each
+function previouslyMessaged(sendCounters) {
+  const seen = new Map();
+  for (const send of sendCounters.sends || []) {
+    const key = normalizeProfileUrl(send.url) || `id:${send.profileId}`;
+    if (!seen.has(key)) seen.set(key, { id: send.profileId, url: send.url });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Read-only inbox pass: opens the thread with every recently messaged profile
+ * and looks for opt-out replies. Never types into the composer. Matches are
+ * added to `suppressionList` with the reply as evidence and handed to
+ * `onOptOut` straight away, so a halt later in the pass can't lose them; the
+ * new entries are also returned.
+ *
+ * Options:
+ *   sendCounters     who was messaged (see caps.js)
+ *   suppressionList  do-not-contact list, updated in place
+ *   phrases          from resolveOptOutPhrases (default: built-in list)
+ *   message          the campaign message, never mistaken for a reply
+ *   optOutPatterns   the policy's opt-out instruction patterns; a reply quoting
+ *                    the message's instruction is not an opt-out (default:
+ *                    built-in policy)
+ *   onOptOut         async (entry) => ..., called after each entry is added
+ */
+async function scanInbox(page, options = {}) {
+  const { sendCounters, suppressionList, message, onOptOut } = options;
+  const phrases = options.phrases || resolveOptOutPhrases();
+  const optOutPatterns = options.optOutPatterns || DEFAULT_POLICY.optOutPatterns;
+  const targets = previouslyMessaged(sendCounters).filter(
+    (profile) => profile.url && !findSuppression(suppressionList, profile)
+  );
+  const added = [];
+
+  console.log(`📥 Checking ${targets.length} conversation(s) for opt-out replies...`);
+
+  for (const profile of targets) {
+    let match;
+    try {
+      await navigateToProfile(page, profile);
+      await assertNotBlocked(page, "inbox scan");
+
+      const messageButton = await page.$(MESSAGE_BUTTON_SELECTOR);
+      if (!messageButton) {
+        console.log(`   ${profile.id}: no messaging option, skipped`);
+        continue;
+      }
+      await openChat(page, messageButton);
+
+      const replies = await readIncomingMessages(page, message);
+      match = replies
+        .map((reply) =>
+          matchOptOut(reply, phrases, { instructionPatterns: optOutPatterns, message })
+        )
+        .find(Boolean);
+    } catch (err) {
+      // An unreadable thread means the markup changed: every check would
+      // come back empty, so stop rather than send on that
+      if (err instanceof HaltError || err.code === "INBOX_UNREADABLE") throw err;
+      console.warn(`⚠️ Could not check ${profile.id} for opt-outs: ${err.message}`);
+    }
+    if (!match) continue;
+
+    const entry = addSuppression(suppressionList, {
+      profileId: profile.id,
+      url: profile.url,
+      reason: `Replied "${match.phrase}"`,
+      source: "inbox-scan",
+      evidence: match.excerpt,
+    });
+    const optOut = { ...entry, language: match.language };
+    added.push(optOut);
+    console.log(`🚫 ${profile.id} opted out: "${match.excerpt}"`);
+    // Saving failures are not a scan problem, so they propagate
+    if (onOptOut) await onOptOut(optOut);
+  }
+
+  return added;
+}
+
+/* ----------------------------- Browser setup ------------------------------ */
+
+async function launchBrowser(opts = {}) {
+  const headless = process.env.HEADLESS === "true";
+
+  console.log(`🚀 Launching browser (headless: ${opts.headless ?? headless})...`);
+
+  const browser = await puppeteer.launch({
+    headless,
+    defaultViewport: null, // Use actual viewport size
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-blink-features=AutomationControlled",
+      "--disable-features=VizDisplayCompositor",
+      "--disable-web-security",
+      "--disable-features=site-per-process",
+      "--disable-extensions",
+      "--disable-plugins",
+      "--disable-images", // Speed up loading
+      "--disable-javascript-harmony-shipping",
+      "--disable-background-timer-throttling",
+      "--disable-backgrounding-occluded-windows",
+      "--disable-renderer-backgrounding",
+      "--disable-field-trial-config",
+      "--disable-back-forward-cache",
+      "--disable-ipc-flooding-protection",
+      "--window-size=1366,768",
+    ],
+    ignoreDefaultArgs: ["--enable-automation"],
+    slowMo: 50, // Add slight delay between actions
+    ...opts,
+  });
+
+  return browser;
+}
+
+async function preparePage(page) {
+  // Set realistic headers and user agent for Facebook
+  await page.setUserAgent(
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  );
+
+  await page.setExtraHTTPHeaders({
+    "Accept-Language": "en-US,en;q=0.9",
+    "Accept-Encoding": "gzip, deflate, br",
+    Accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
+    Connection: "keep-alive",
+    "Upgrade-Insecure-Requests": "1",
+    "Sec-Fetch-Dest": "document",
+    "Sec-Fetch-Mode": "navigate",
+    "Sec-Fetch-Site": "none",
+    "Cache-Control": "max-age=0",
+  });
+
+  // Override webdriver detection
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(navigator, "webdriver", {
+      get: () => undefined,
+    });
+
+    // Remove automation indicators
+    delete window.chrome.runtime.onConnect;
+
+    // Mock plugins
+    Object.defineProperty(navigator, "plugins", {
+      get: () => [1, 2, 3, 4, 5],
+    });
+
+    // Mock languages
+    Object.defineProperty(navigator, "languages", {
+      get: () => ["en-US", "en"],
+    });
+  });
+}
+
+async function establishSession(page, storage, credentials) {
+  console.log("🏠 Establishing Facebook session...");
+  try {
+    await page.goto("https://www.facebook.com", {
+      waitUntil: "domcontentloaded",
+      timeout: 30000,
+    });
+    await delay(rand(2000, 4000));
+
+    // Load existing cookies if available
+    if (await loadSession(page, storage, credentials)) {
+      await page.reload({ waitUntil: "domcontentloaded" });
+      await delay(rand(2000, 3000));
+    }
+
+    if (await isLoginRequired(page)) {
+      console.log("🔒 Login required, authenticating...");
+      await performFacebookLogin(page, credentials.email, credentials.password);
+      await saveSession(page, storage, credentials);
+    }
+    await assertNotBlocked(page, "session setup");
+  } catch (homeError) {
+    if (homeError instanceof HaltError) throw homeError;
+    console.log("⚠️ Could not establish Facebook session, continuing anyway...");
+  }
+}
+
+/* ------------------------------- Run a batch ------------------------------ */
+
+// Which consent record justified contacting a profile
+function consentReference(record) {
+  return {
+    grantedAt: record.grantedAt,
+    method: record.method,
+    evidence: record.evidence || null,
+  };
+}
+
+function auditType(record) {
+  if (record.skipped) return "skip";
+  if (record.stopped) return "stop";
+  if (record.halted) return "halt";
+  if (record.optedOut) return "opt-out";
+  return "attempt";
+}
+
+/**
+ * The safeguards every profile passes before it is messaged, in this order:
+ * do-not-contact list, consent ledger, then the send caps. Returns one of
+ *   { skip }     record for a profile that must not be messaged
+ *   { stop }     record ending the run (per-run or rolling 24h cap reached)
+ *   { consent }  the checkConsent result that allows messaging the profile
+ *
+ * Options: suppressionList, consentLedger, sendCounters, caps (resolved),
+ * sentThisRun, remaining (profiles left including this one), now.
+ */
+function screenProfile(profile, options) {
+  const { suppressionList, consentLedger, sendCounters, caps } = options;
+  const now = options.now || new Date();
+  const timestamp = now.toISOString();
+
+  // Do-not-contact always wins, whatever the profiles list says
+  const suppression = findSuppression(suppressionList, profile);
+  if (suppression) {
+    console.log(`⛔ Skipping ${profile.id}: on do-not-contact list (${suppression.reason})`);
+    return {
+      skip: {
+        timestamp,
+        success: false,
+        skipped: "suppressed",
+        reason: suppression.reason,
+        profileId: profile.id,
+        url: profile.url,
+      },
+    };
+  }
+
+  // Never contact a profile without a documented, unexpired opt-in
+  const consent = checkConsent(consentLedger, profile, now);
+  if (!consent.valid) {
+    console.log(`⛔ Skipping ${profile.id}: no valid consent (${consent.reason})`);
+    return {
+      skip: {
+        timestamp,
+        success: false,
+        skipped: "no-consent",
+        consentStatus: consent.reason,
+        profileId: profile.id,
+        url: profile.url,
+      },
+    };
+  }
+
+  // Hard caps: run and rolling 24h limits end the run, per-recipient skips
+  const cap = checkCaps(sendCounters, caps, {
+    profile,
+    sentThisRun: options.sentThisRun,
+    now,
+  });
+  if (!cap.allowed && cap.scope !== "recipient") {
+    console.log(`🛑 ${cap.reason}, stopping run`);
+    return {
+      stop: {
+        timestamp,
+        success: false,
+        stopped: `cap-${cap.scope}`,
+        reason: cap.reason,
+        remaining: options.remaining,
+      },
+    };
+  }
+  if (!cap.allowed) {
+    console.log(`⛔ Skipping ${profile.id}: ${cap.reason}`);
+    return {
+      skip: {
+        timestamp,
+        success: false,
+        skipped: "cap-recipient",
+        reason: cap.reason,
+        profileId: profile.id,
+        url: profile.url,
+      },
+    };
+  }
+
+  return { consent };
+}
+
+/**
+ * Sends `message` to each profile in turn with every safeguard applied:
+ * message policy, do-not-contact list, consent ledger, send caps and
+ * checkpoint halts. Before the first send the inbox is checked for opt-out replies (scanInbox),
+ * so anyone who replied STOP since the last batch is suppressed first.
+ * Every outcome, including skips, is written through storage.logResult and
+ * chained into the audit log, between a run-start and a run-end entry. All
+ * records of one run share a `runId`.
+ *
+ * Options:
+ *   storage               persistence adapter (required)
+ *   credentials           { email, password, passphrase } (required)
+ *   planHash              hash of the reviewed run plan (required, see preflight.js)
+ *   caps                  cap overrides, see caps.js
+ *   dryRun                never type or send
+ *   headless              passed to launchBrowser
+ *   delayBetweenProfiles  base pause in ms (default: random 3-10s)
+ *   operator              who started the run, for the audit log
+ */
+async function runCampaign(profiles, message, options = {}) {
+  const { storage, credentials, dryRun = false } = options;
+  const caps = resolveCaps(options.caps);
+
+  if (!credentials || !credentials.email || !credentials.password) {
+    throw new Error("❌ Login credentials are required");
+  }
+
+  // Malformed or duplicated profiles fail before the browser starts
+  assertValidProfiles(profiles);
+
+  // Never send a message that breaks the outreach policy (see policy.js)
+  const policy = resolvePolicy(await storage.readJson("messagePolicy", {}));
+  assertMessagePolicy(message, policy);
+
+  const consentLedger = await storage.readJson("consent", { records: {} });
+  const suppressionList = await storage.readJson("suppression", { entries: [] });
+  const sendCounters = await storage.readJson("counters", { sends: [] });
+  const optOutPhrases = resolveOptOutPhrases(
+    await storage.readJson("optOutPhrases", {})
+  );
+
+  // Only the exact plan the operator reviewed may run
+  const plan = buildRunPlan({
+    profiles,
+    message,
+    caps,
+    consentLedger,
+    suppressionList,
+    dryRun,
+  });
+  if (!options.planHash || planHash(plan) !== options.planHash) {
+    throw new Error(
+      "Run plan was not confirmed or has changed since it was reviewed"
+    );
+  }
+
+  const runId = crypto.randomUUID();
+  // Keyed with the credentials passphrase so the chain can't be recomputed
+  const audit = await createAuditLog(
+    storage,
+    runId,
+    deriveAuditKey(credentials.passphrase)
+  );
+  await audit.append("run-start", {
+    operator: options.operator || null,
+    planHash: options.planHash,
+    messageHash: sha256(message),
+    profiles: profiles.length,
+    recipients: plan.recipients.length,
+    caps,
+    dryRun,
+  });
+
+  // Everything a dry run logs is tagged so it can't pass for a real send.
+  // `auditOnly` fields go to the audit log but not the results
+  const logRunResult = async (obj, auditOnly = {}) => {
+    const { timestamp, ...record } = { ...obj, ...(dryRun && { dryRun }) };
+    await storage.logResult({ timestamp, runId, ...record });
+    await audit.append(auditType(record), { ...record, ...auditOnly });
+  };
+
+  const results = [];
+  let sentThisRun = 0;
+  let fatalError = null;
+  let browser;
+  let page;
+
+  // Logs an attempt and counts it against the caps if the message went out
+  const recordAttempt = async (profile, consent, result) => {
+    result.consent = consentReference(consent.record);
+    await logRunResult({ timestamp: new Date().toISOString(), ...result });
+    results.push(result);
+
+    if (result.messageSent === "Yes") {
+      sentThisRun += 1;
+      recordSend(sendCounters, profile, caps);
+      await storage.writeJson("counters", sendCounters);
+    }
+  };
+
+  // From here on every run-start gets its run-end, even if the browser
+  // never comes up
+  try {
+    const browserOptions =
+      options.headless === undefined ? {} : { headless: options.headless };
+    browser = await launchBrowser(browserOptions);
+    page = await browser.newPage();
+    await preparePage(page);
+
+    console.log(
+      `📋 Processing ${profiles.length} profiles with message: "${message}"`
+    );
+
+    await establishSession(page, storage, credentials);
+
+    // Each opt-out is saved as soon as it's found. The reply itself is kept
+    // in the do-not-contact list and the audit log only: results.jsonl is
+    // tracked by git and the dataset gets exported
+    await scanInbox(page, {
+      sendCounters,
+      suppressionList,
+      phrases: optOutPhrases,
+      message,
+      optOutPatterns: policy.optOutPatterns,
+      onOptOut: async (optOut) => {
+        await storage.writeJson("suppression", suppressionList);
+        await logRunResult(
+          {
+            timestamp: new Date().toISOString(),
+            optedOut: optOut.reason,
+            language: optOut.language,
+            profileId: optOut.profileId,
+            url: optOut.url,
+          },
+          { evidence: optOut.evidence }
+        );
+      },
+    });
+
+    // Process each profile
+    for (let i = 0; i < profiles.length; i++) {
+      const profile = profiles[i];
+
+      console.log(`\n📍 Profile ${i + 1}/${profiles.length}`);
+
+      const screened = screenProfile(profile, {
+        suppressionList,
+        consentLedger,
+        sendCounters,
+        caps,
+        sentThisRun,
+        remaining: profiles.length - i,
+      });
+      if (screened.stop) {
+        // What the cap actually held back: profiles left that would have
+        // passed the do-not-contact list and the consent ledger
+        screened.stop.heldBack = profiles
+          .slice(i)
+          .filter(
+            (p) =>
+              !findSuppression(suppressionList, p) &&
+              checkConsent(consentLedger, p).valid
+          ).length;
+        await logRunResult(screened.stop);
+        results.push(screened.stop);
+        break;
+      }
+      if (screened.skip) {
+        await logRunResult(screened.skip);
+        results.push(screened.skip);
+        continue;
+      }
+      const { consent } = screened;
+
+      try {
+        // Add random delay between profiles
+        if (i > 0) {
+          const pauseTime =
+            options.delayBetweenProfiles === undefined
+              ? rand(3000, 10000)
+              : Math.max(0, options.delayBetweenProfiles + rand(-1000, 1000));
+          console.log(`⏸️ Pausing ${pauseTime}ms between profiles...`);
+          await delay(pauseTime);
+        }
+
+        const result = await sendMessageToProfile(page, profile, message, {
+          dryRun,
+          credentials,
+          storage,
+        });
+        await recordAttempt(profile, consent, result);
+      } catch (err) {
+        if (err instanceof HaltError) {
+          err.profile = profile;
+          // Facebook stepped in after the message went out: it still counts
+          if (err.attempt) await recordAttempt(profile, consent, err.attempt);
+          throw err;
+        }
+
+        const fail = {
+          success: false,
+          profileId: profile.id,
+          url: profile.url,
+          ...classifyError(err, "process"),
+          timestamp: new Date().toISOString(),
+          messageButtonPresent: "No",
+          messageSent: "No",
+          ...(!dryRun && { delivery: "failed" }),
+          consent: consentReference(consent.record),
+        };
+        await logRunResult(fail);
+        results.push(fail);
+        console.error(`❌ Profile ${profile.id} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof HaltError)) {
+      console.error("💥 Fatal error during processing:", err);
+      fatalError = err;
+      throw err;
+    }
+
+    console.error(`🛑 Halting run: ${err.message}`);
+    const { errorCode, errorStep } = classifyError(err);
+    const halt = {
+      timestamp: new Date().toISOString(),
+      success: false,
+      halted: err.kind,
+      reason: err.message,
+      errorCode,
+      errorStep,
+      evidence: err.evidence,
+      pageUrl: err.url || page.url(),
+      screenshot: await storage.saveScreenshot(page),
+      profileId: err.profile ? err.profile.id : null,
+      url: err.profile ? err.profile.url : null,
+    };
+    await logRunResult(halt);
+    results.push(halt);
+  } finally {
+    if (browser) {
+      console.log("🔒 Closing browser...");
+      await browser
+        .close()
+        .catch((err) => console.warn("⚠️ Failed to close browser:", err.message));
+    }
+
+    const { attempted, successful, unconfirmed, failed, skipped } =
+      summarizeResults(results);
+    const end = await audit.append("run-end", {
+      attempted,
+      successful,
+      unconfirmed,
+      failed,
+      skipped,
+      ...(fatalError && { error: fatalError.message }),
+    });
+    console.log(`🔏 Audit log entry ${end.seq}: ${end.hash}`);
+  }
+
+  return results;
+}
+
+/* --------------------------------- Summary -------------------------------- */
+
+// Only confirmed sends (or dry runs that passed) count as successful
+function summarizeResults(results) {
+  const attempts = results.filter(
+    (r) => !r.skipped && !r.stopped && !r.halted
+  );
+
+  return {
+    attempted: attempts.length,
+    successful: attempts.filter((r) => r.success).length,
+    unconfirmed: attempts.filter((r) => r.delivery === "unconfirmed").length,
+    failed: attempts.filter(
+      (r) => !r.success && r.delivery !== "unconfirmed"
+    ).length,
+    skipped: results.filter((r) => r.skipped).length,
+    stop: results.find((r) => r.stopped) || null,
+    halt: results.find((r) => r.halted) || null,
+  };
+}
+
+module.exports = {
+  rand,
+  delay,
+  humanType,
+  humanMove,
+  humanScroll,
+  humanClick,
+  isLoginRequired,
+  performFacebookLogin,
+  findSendButton,
+  sendMessageToProfile,
+  launchBrowser,
+  preparePage,
+  scanInbox,
+  screenProfile,
+  runCampaign,
+  summarizeResults,
+};
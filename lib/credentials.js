@@ -0,0 +1,237 @@
+/**
+ * credentials.js
+ *
+ * Credential providers and encryption at rest. Login credentials come either
+ * from a passphrase-protected vault file or from stdin, never from .env. The
+ * same passphrase encrypts the saved session cookies.
+ *
+ * Sealed files are JSON: scrypt derives an AES-256-GCM key from the passphrase
+ * and a random salt, so they can be moved between machines and OSes.
+ */
+
+const crypto = require("crypto");
+const readline = require("readline");
+const { Writable } = require("stream");
+const { execFileSync } = require("child_process");
+const fs = require("fs-extra");
+
+const SEAL_VERSION = 1;
+
+/* ------------------------------- Encryption ------------------------------- */
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+function sealJson(value, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    v: SEAL_VERSION,
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function openJson(sealed, passphrase) {
+  if (!sealed || sealed.v !== SEAL_VERSION) {
+    throw new Error("Unsupported or corrupt encrypted file");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, Buffer.from(sealed.salt, "base64")),
+    Buffer.from(sealed.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+
+  try {
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(sealed.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch (err) {
+    throw new Error("Wrong passphrase or tampered encrypted file");
+  }
+}
+
+// Stable, non-reversible name for per-account files such as saved cookies
+function accountKey(email) {
+  return crypto
+    .createHash("sha256")
+    .update(String(email).toLowerCase())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/* --------------------------------- Prompts -------------------------------- */
+
+/**
+ * One readline interface for a whole series of questions, so piped stdin
+ * (one answer per line) works as well as a terminal. Lines that arrive before
+ * their question is asked are queued. Secret answers are not echoed.
+ */
+function createPrompter({ input = process.stdin, output = process.stdout } = {}) {
+  const terminal = !!input.isTTY;
+  let muted = false;
+
+  // readline echoes typed characters through this stream
+  const echo = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) output.write(chunk);
+      callback();
+    },
+  });
+
+  const rl = readline.createInterface({ input, output: echo, terminal });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on("line", (line) => {
+    const next = waiting.shift();
+    if (next) next.resolve(line);
+    else lines.push(line);
+  });
+  rl.on("close", () => {
+    closed = true;
+    for (const next of waiting.splice(0)) {
+      next.reject(new Error("Input ended before all answers were given"));
+    }
+  });
+
+  return {
+    ask(question, { secret = false } = {}) {
+      output.write(question);
+      muted = secret && terminal;
+
+      return new Promise((resolve, reject) => {
+        const answer = (line) => {
+          if (muted) output.write("\n");
+          muted = false;
+          resolve(line.trim());
+        };
+
+        if (lines.length > 0) answer(lines.shift());
+        else if (closed) reject(new Error("Input ended before all answers were given"));
+        else waiting.push({ resolve: answer, reject });
+      });
+    },
+    close: () => rl.close(),
+  };
+}
+
+/* ---------------------------------- Vault --------------------------------- */
+
+async function saveVault(file, credentials, passphrase) {
+  const { email, password } = credentials;
+  await fs.writeJson(file, sealJson({ email, password }, passphrase), { spaces: 2 });
+}
+
+async function loadVault(file, passphrase) {
+  if (!(await fs.pathExists(file))) {
+    throw new Error(
+      `No credential vault at ${file}. Create one with: node messenger.js vault init`
+    );
+  }
+  return openJson(await fs.readJson(file), passphrase);
+}
+
+/* -------------------------------- Providers ------------------------------- */
+
+/**
+ * Returns { getCredentials } resolving to { email, password, passphrase }.
+ *
+ *   "vault"  reads the vault file; the passphrase comes from VAULT_PASSPHRASE
+ *            when set (unattended runs) or is prompted for
+ *   "stdin"  reads email, password and cookie passphrase from stdin
+ */
+function createCredentialProvider(source, { vaultFile, input, output } = {}) {
+  switch (source) {
+    case "vault":
+      return {
+        async getCredentials() {
+          let passphrase = process.env.VAULT_PASSPHRASE;
+          if (!passphrase) {
+            const prompter = createPrompter({ input, output });
+            try {
+              passphrase = await prompter.ask("🔑 Vault passphrase: ", { secret: true });
+            } finally {
+              prompter.close();
+            }
+          }
+          const { email, password } = await loadVault(vaultFile, passphrase);
+          return { email, password, passphrase };
+        },
+      };
+    case "stdin":
+      return {
+        async getCredentials() {
+          const prompter = createPrompter({ input, output });
+          try {
+            const email = await prompter.ask("📧 Facebook login email: ");
+            const password = await prompter.ask("🔒 Facebook password: ", { secret: true });
+            const passphrase = await prompter.ask("🔑 Cookie passphrase: ", { secret: true });
+            if (!email || !password || !passphrase) {
+              throw new Error("Email, password and cookie passphrase are all required");
+            }
+            return { email, password, passphrase };
+          } finally {
+            prompter.close();
+          }
+        },
+      };
+    default:
+      throw new Error(`Unknown credential source "${source}" (use vault or stdin)`);
+  }
+}
+
+/* ----------------------------- Startup checks ----------------------------- */
+
+/**
+ * Throws when any of the given paths (relative to repoDir) is tracked by git.
+ * Outside a git checkout, or without git installed, there is nothing to leak.
+ */
+function assertSecretsUntracked(repoDir, paths) {
+  let tracked;
+  try {
+    tracked = execFileSync("git", ["ls-files", "--", ...paths], {
+      cwd: repoDir,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (err) {
+    return;
+  }
+
+  if (tracked) {
+    throw new Error(
+      `Refusing to run: secrets are tracked by git:\n${tracked
+        .split("\n")
+        .map((file) => `   • ${file}`)
+        .join("\n")}\nRemove them with "git rm --cached <file>" and keep them in .gitignore.`
+    );
+  }
+}
+
+module.exports = {
+  sealJson,
+  openJson,
+  accountKey,
+  createPrompter,
+  saveVault,
+  loadVault,
+  createCredentialProvider,
+  assertSecretsUntracked,
+};
@@ -0,0 +1,90 @@
+/**
+ * errors.js
+ *
+ * Error codes for result records. Every failed attempt is logged with a
+ * machine-readable `errorCode`, the original `error` message and the
+ * `errorStep` it happened in, so reports and alerts can group failures
+ * without parsing free text.
+ *
+ *   LOGIN_REQUIRED     profile needs a login and no credentials were given
+ *   LOGIN_FAILED       the login form rejected the credentials
+ *   NAV_TIMEOUT        the profile page didn't load in time
+ *   NAV_FAILED         the profile page failed to load for another reason
+ *   NO_MESSAGE_BUTTON  the profile has no Message button
+ *   NO_INPUT           the chat opened without a message input
+ *   SEND_FAILED        Messenger marked the message as not sent
+ *   SEND_UNCONFIRMED   sent, but the message never showed up in the thread
+ *   INBOX_UNREADABLE   the inbox pass couldn't tell who sent the messages in a
+ *                      thread (Messenger's markup changed); the run stops
+ *   BROWSER_ERROR      the page or browser went away (detached frame, ...)
+ *   TIMEOUT            any other step timed out
+ *   HALTED_CHECKPOINT, HALTED_CAPTCHA, HALTED_BLOCKED, HALTED_RATE_LIMIT
+ *                      Facebook stopped the run (see checkpoint.js)
+ *   UNKNOWN            anything else; `error` has the details
+ */
+
+const { HaltError } = require("./checkpoint");
+
+const ERROR_CODES = [
+  "LOGIN_REQUIRED",
+  "LOGIN_FAILED",
+  "NAV_TIMEOUT",
+  "NAV_FAILED",
+  "NO_MESSAGE_BUTTON",
+  "NO_INPUT",
+  "SEND_FAILED",
+  "SEND_UNCONFIRMED",
+  "INBOX_UNREADABLE",
+  "BROWSER_ERROR",
+  "TIMEOUT",
+  "HALTED_CHECKPOINT",
+  "HALTED_CAPTCHA",
+  "HALTED_BLOCKED",
+  "HALTED_RATE_LIMIT",
+  "UNKNOWN",
+];
+
+class AutomationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "AutomationError";
+    this.code = code;
+    this.step = details.step || null;
+  }
+}
+
+const BROWSER_ERROR_PATTERNS = [
+  /frame was detached/i,
+  /target closed/i,
+  /session closed/i,
+  /execution context was destroyed/i,
+  /protocol error/i,
+  /browser has disconnected/i,
+];
+
+/**
+ * { errorCode, error, errorStep } for any error thrown while processing a
+ * profile. `step` is used when the error doesn't carry its own.
+ */
+function classifyError(err, step = null) {
+  const message = (err && err.message) || String(err);
+  let code = "UNKNOWN";
+
+  if (err instanceof AutomationError) {
+    code = err.code;
+  } else if (err instanceof HaltError) {
+    code = `HALTED_${String(err.kind).toUpperCase().replace(/-/g, "_")}`;
+  } else if (BROWSER_ERROR_PATTERNS.some((re) => re.test(message))) {
+    code = "BROWSER_ERROR";
+  } else if (err && err.name === "TimeoutError") {
+    code = "TIMEOUT";
+  }
+
+  return { errorCode: code, error: message, errorStep: (err && err.step) || step };
+}
+
+module.exports = {
+  ERROR_CODES,
+  AutomationError,
+  classifyError,
+};
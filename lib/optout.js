@@ -0,0 +1,150 @@
+/**
+ * optout.js
+ *
+ * Opt-out phrases recognised in replies ("stop", "unsubscribe", "don't
+ * message me", ...) and the matching used by the inbox pass in core.js.
+ * A recipient whose reply matches is added to the do-not-contact list.
+ *
+ * The phrase list is configurable per language (opt-out-phrases.json for the
+ * CLI, OPT_OUT_PHRASES record or "optOutPhrases" input for the actor):
+ * {
+ *   "languages": {
+ *     "en": ["stop", "unsubscribe", "leave me alone"],
+ *     "nl": ["stoppen", "afmelden"]
+ *   }
+ * }
+ * A language listed there replaces the built-in phrases for that language;
+ * the other built-in languages are kept.
+ *
+ * Every campaign message carries an opt-out instruction ("Reply STOP to opt
+ * out", see policy.js). A reply that quotes that instruction back is not an
+ * opt-out, so quotes of it are removed before matching: the message's own
+ * instruction lines, and the standard "reply STOP to opt out" wording. The
+ * bare keywords ("unsubscribe", "opt out", ...) are never removed.
+ */
+
+const DEFAULT_OPT_OUT_PHRASES = {
+  en: [
+    "stop",
+    "unsubscribe",
+    "opt out",
+    "opt-out",
+    "don't message me",
+    "do not message me",
+    "don't contact me",
+    "do not contact me",
+    "stop messaging me",
+    "remove me",
+  ],
+  es: ["darme de baja", "no me escribas", "no me contactes", "no más mensajes"],
+  fr: ["désabonner", "désinscrire", "ne m'écrivez plus", "arrêtez", "ne me contactez plus"],
+  de: ["abmelden", "nicht mehr schreiben", "keine nachrichten mehr", "kontaktieren sie mich nicht"],
+  pt: ["descadastrar", "cancelar inscrição", "não me mande mensagens", "não me contacte"],
+  it: ["disiscrivimi", "non scrivermi più", "non contattarmi"],
+};
+
+const EXCERPT_LENGTH = 200;
+
+// "reply STOP to opt out", "reply “unsubscribe” to unsubscribe", ...
+const STANDARD_INSTRUCTION =
+  /reply\s+["'“”]?(stop|unsubscribe)["'“”]?\s+to\s+(opt[- ]?out|unsubscribe)\b/g;
+
+// Shorter instruction lines could be nothing but a keyword
+const MIN_QUOTE_WORDS = 3;
+
+/* ------------------------------ Phrase list ------------------------------- */
+
+function resolveOptOutPhrases(config = {}) {
+  const languages = { ...DEFAULT_OPT_OUT_PHRASES };
+
+  for (const [language, phrases] of Object.entries(config.languages || {})) {
+    if (!Array.isArray(phrases) || phrases.some((p) => typeof p !== "string")) {
+      throw new Error(`Opt-out phrases for "${language}" must be a list of strings`);
+    }
+    languages[language] = phrases;
+  }
+
+  return Object.entries(languages).flatMap(([language, phrases]) =>
+    phrases
+      .map((phrase) => normalizeText(phrase))
+      .filter(Boolean)
+      .map((phrase) => ({ language, phrase }))
+  );
+}
+
+/* -------------------------------- Matching -------------------------------- */
+
+// Lowercase, drop accents and unify apostrophes so "NO MÁS" matches "no mas"
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019\u02bc]/g, "'")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole words only, so "stop" doesn't match "nonstop" or "stopover"
+function containsPhrase(text, phrase) {
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}($|[^\\p{L}\\p{N}])`,
+    "u"
+  );
+  return pattern.test(text);
+}
+
+// Lines of the campaign message that carry its opt-out instruction, i.e.
+// match one of the policy's optOutPatterns, normalised for comparison
+function instructionQuotes(message, patterns = []) {
+  const regexps = patterns.map((pattern) => new RegExp(pattern, "i"));
+  return String(message || "")
+    .split(/\r?\n/)
+    .filter((line) => regexps.some((re) => re.test(line)))
+    .map((line) => normalizeText(line).replace(/[.!?…]+$/, "").trim())
+    .filter((quote) => quote.split(" ").length >= MIN_QUOTE_WORDS);
+}
+
+// Removes quotes of our own instruction from normalised reply text
+function stripInstructionQuotes(normalized, quotes) {
+  return quotes
+    .reduce((stripped, quote) => stripped.split(quote).join(" "), normalized)
+    .replace(STANDARD_INSTRUCTION, " ");
+}
+
+/**
+ * First opt-out phrase found in `text`, as { language, phrase, excerpt }, or
+ * null. `phrases` comes from resolveOptOutPhrases. With `instructionPatterns`
+ * (the policy's optOutPatterns), quotes of the instruction in `message` and of
+ * the standard wording are ignored. The excerpt is always the full text.
+ */
+function matchOptOut(text, phrases, { instructionPatterns, message } = {}) {
+  let normalized = normalizeText(text);
+  if (instructionPatterns) {
+    normalized = stripInstructionQuotes(
+      normalized,
+      instructionQuotes(message, instructionPatterns)
+    );
+  }
+  const match = phrases.find(({ phrase }) => containsPhrase(normalized, phrase));
+  if (!match) return null;
+
+  const excerpt = String(text).replace(/\s+/g, " ").trim();
+  return {
+    ...match,
+    excerpt:
+      excerpt.length > EXCERPT_LENGTH
+        ? excerpt.substring(0, EXCERPT_LENGTH) + "..."
+        : excerpt,
+  };
+}
+
+module.exports = {
+  DEFAULT_OPT_OUT_PHRASES,
+  resolveOptOutPhrases,
+  matchOptOut,
+};
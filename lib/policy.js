@@ -0,0 +1,187 @@
+/**
+ * policy.js
+ *
+ * Outreach policy checks for the outgoing message, run before anything is
+ * sent. A message must identify the sender on a line of its own and tell the
+ * recipient how to opt out; it must stay under the length limit, contain no
+ * URL shorteners and none of the banned phrases.
+ *
+ * The policy can be tuned in message-policy.json (CLI) or the MESSAGE_POLICY
+ * record (actor). It is deliberately not an actor input, so a run can't relax
+ * the policy for itself.
+ * {
+ *   "maxLength": 600,
+ *   "bannedPhrases": ["limited time offer"],      added to the built-in list
+ *   "urlShorteners": ["sho.rt"],                  added to the built-in list
+ *   "senderPatterns": ["^— .+, Acme Outreach$"],  replace the built-in ones
+ *   "optOutPatterns": ["reply stop"]              replace the built-in ones
+ * }
+ * Patterns are case-insensitive regular expressions; sender patterns are
+ * tested against each line of the message.
+ */
+
+const DEFAULT_POLICY = {
+  maxLength: 1000,
+  bannedPhrases: [
+    "act now",
+    "100% free",
+    "guaranteed",
+    "risk-free",
+    "click here",
+    "you have been selected",
+  ],
+  urlShorteners: [
+    "bit.ly",
+    "tinyurl.com",
+    "t.co",
+    "goo.gl",
+    "ow.ly",
+    "is.gd",
+    "buff.ly",
+    "rebrand.ly",
+    "cutt.ly",
+    "shorturl.at",
+    "tiny.cc",
+    "rb.gy",
+    "t.ly",
+    "s.id",
+  ],
+  // "This is Ada from Acme", "From: Acme Outreach", "— Ada, Acme"; the colon
+  // is required so a sentence like "From time to time ..." doesn't count
+  senderPatterns: [
+    "^\\s*(this is|i'm|i am|my name is)\\s+.+\\s(from|at|with)\\s+\\S+",
+    "^\\s*(from|sent by|sender)\\s*:\\s*\\S+",
+    "^\\s*(--|—|–)\\s*\\S+",
+  ],
+  optOutPatterns: [
+    "reply\\s+[\"'“]?(stop|unsubscribe)\\b",
+    "\\bopt[- ]?out\\b",
+    "\\bunsubscribe\\b",
+  ],
+};
+
+class PolicyError extends Error {
+  constructor(violations) {
+    super(`Message violates the outreach policy:\n${formatPolicyReport(violations)}`);
+    this.name = "PolicyError";
+    this.violations = violations;
+  }
+}
+
+/* --------------------------------- Policy --------------------------------- */
+
+function resolvePolicy(config = {}) {
+  const policy = {
+    ...DEFAULT_POLICY,
+    bannedPhrases: [...DEFAULT_POLICY.bannedPhrases, ...(config.bannedPhrases || [])],
+    urlShorteners: [...DEFAULT_POLICY.urlShorteners, ...(config.urlShorteners || [])],
+  };
+
+  if (config.maxLength !== undefined) {
+    if (!Number.isInteger(config.maxLength) || config.maxLength <= 0) {
+      throw new Error("Policy maxLength must be a positive integer");
+    }
+    policy.maxLength = config.maxLength;
+  }
+  if (config.senderPatterns) policy.senderPatterns = config.senderPatterns;
+  if (config.optOutPatterns) policy.optOutPatterns = config.optOutPatterns;
+
+  return policy;
+}
+
+/* --------------------------------- Checks --------------------------------- */
+
+function toRegExp(pattern, flags = "i") {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (err) {
+    throw new Error(`Invalid policy pattern ${JSON.stringify(pattern)}: ${err.message}`);
+  }
+}
+
+// Hosts of anything that looks like a link, with or without a scheme
+function linkHosts(message) {
+  const links = message.match(
+    /\b(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s]*)?/gi
+  ) || [];
+  return links.map((link) =>
+    link
+      .replace(/^https?:\/\//i, "")
+      .split("/")[0]
+      .toLowerCase()
+      .replace(/^www\./, "")
+  );
+}
+
+/**
+ * Checks `message` against `policy` (from resolvePolicy). Returns a list of
+ * violations as { rule, detail }; empty when the message passes.
+ */
+function lintMessage(message, policy = resolvePolicy()) {
+  const violations = [];
+  const text = String(message || "");
+  const lower = text.toLowerCase();
+
+  if (!text.trim()) {
+    return [{ rule: "empty", detail: "Message is empty" }];
+  }
+
+  const lines = text.split(/\r?\n/);
+  const senderPatterns = policy.senderPatterns.map((p) => toRegExp(p));
+  if (!lines.some((line) => senderPatterns.some((re) => re.test(line)))) {
+    violations.push({
+      rule: "sender-id",
+      detail: 'No line identifies the sender (e.g. "This is Ada from Acme")',
+    });
+  }
+
+  if (!policy.optOutPatterns.some((p) => toRegExp(p).test(text))) {
+    violations.push({
+      rule: "opt-out",
+      detail: 'No opt-out instruction (e.g. "Reply STOP to opt out")',
+    });
+  }
+
+  if (text.length > policy.maxLength) {
+    violations.push({
+      rule: "max-length",
+      detail: `Message is ${text.length} characters, the limit is ${policy.maxLength}`,
+    });
+  }
+
+  const shorteners = new Set(policy.urlShorteners.map((host) => host.toLowerCase()));
+  for (const host of new Set(linkHosts(text))) {
+    if (shorteners.has(host)) {
+      violations.push({
+        rule: "url-shortener",
+        detail: `Shortened link (${host}); use the full destination URL`,
+      });
+    }
+  }
+
+  for (const phrase of policy.bannedPhrases) {
+    if (lower.includes(phrase.toLowerCase())) {
+      violations.push({ rule: "banned-phrase", detail: `Contains "${phrase}"` });
+    }
+  }
+
+  return violations;
+}
+
+function formatPolicyReport(violations) {
+  return violations.map((v) => `  ❌ [${v.rule}] ${v.detail}`).join("\n");
+}
+
+function assertMessagePolicy(message, policy) {
+  const violations = lintMessage(message, policy);
+  if (violations.length > 0) throw new PolicyError(violations);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  PolicyError,
+  resolvePolicy,
+  lintMessage,
+  formatPolicyReport,
+  assertMessagePolicy,
+};
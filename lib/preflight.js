@@ -0,0 +1,116 @@
+/**
+ * preflight.js
+ *
+ * Pre-run review. Before anything is sent the operator sees exactly who will
+ * be contacted, with which message and under which caps, and has to confirm
+ * that plan, either interactively or by passing its hash for unattended runs.
+ * Any change to the recipients, message or caps changes the hash.
+ */
+
+const crypto = require("crypto");
+const readline = require("readline/promises");
+const { checkConsent } = require("./consent");
+const { findSuppression } = require("./suppression");
+
+/* ---------------------------------- Plan ---------------------------------- */
+
+function buildRunPlan({ profiles, message, caps, consentLedger, suppressionList, dryRun = false }) {
+  const recipients = [];
+  const excluded = [];
+
+  for (const profile of profiles) {
+    const suppression = findSuppression(suppressionList, profile);
+    if (suppression) {
+      excluded.push({ id: profile.id, url: profile.url, reason: "suppressed" });
+      continue;
+    }
+
+    const consent = checkConsent(consentLedger, profile);
+    if (!consent.valid) {
+      excluded.push({ id: profile.id, url: profile.url, reason: "no-consent" });
+      continue;
+    }
+
+    recipients.push({ id: profile.id, url: profile.url });
+  }
+
+  return { recipients, excluded, message, caps, dryRun: !!dryRun };
+}
+
+function planHash(plan) {
+  const canonical = JSON.stringify({
+    recipients: plan.recipients.map((r) => [r.id, r.url]),
+    message: plan.message,
+    caps: Object.keys(plan.caps)
+      .sort()
+      .map((key) => [key, plan.caps[key]]),
+    dryRun: plan.dryRun,
+  });
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16);
+}
+
+function printPlan(plan) {
+  const { caps } = plan;
+
+  console.log("\n" + "=".repeat(50));
+  console.log("📋 RUN PLAN — review before sending");
+  console.log("=".repeat(50));
+  console.log(`Mode: ${plan.dryRun ? "dry run (nothing will be sent)" : "LIVE"}`);
+  console.log(
+    `Caps: ${caps.maxPerRun}/run, ${caps.maxPerDay}/24h, ${caps.maxPerRecipient}/recipient per ${caps.recipientWindowDays} days`
+  );
+  console.log("\nMessage:");
+  console.log("-".repeat(50));
+  console.log(plan.message);
+  console.log("-".repeat(50));
+
+  console.log(`\nRecipients (${plan.recipients.length}):`);
+  plan.recipients.forEach((r) => console.log(`   • ${r.id}: ${r.url}`));
+
+  if (plan.excluded.length > 0) {
+    console.log(`\nExcluded (${plan.excluded.length}):`);
+    plan.excluded.forEach((r) => console.log(`   • ${r.id}: ${r.reason}`));
+  }
+
+  console.log(`\nPlan hash: ${planHash(plan)}`);
+}
+
+/* ------------------------------ Confirmation ------------------------------ */
+
+/**
+ * Resolves to true once the plan is confirmed, false when the operator
+ * declines. Throws when the plan cannot be confirmed at all.
+ */
+async function confirmPlan(plan, { confirmHash, input = process.stdin, output = process.stdout } = {}) {
+  const hash = planHash(plan);
+
+  if (confirmHash !== undefined) {
+    if (String(confirmHash) !== hash) {
+      throw new Error(
+        `Run plan changed since it was reviewed (expected ${confirmHash}, now ${hash}). Review it again before sending.`
+      );
+    }
+    return true;
+  }
+
+  if (!input.isTTY) {
+    throw new Error(
+      `No terminal to confirm the run plan. Review it above and re-run with --confirm ${hash}`
+    );
+  }
+
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = await rl.question('\nType "yes" to start this run: ');
+    return answer.trim().toLowerCase() === "yes";
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = {
+  buildRunPlan,
+  planHash,
+  printPlan,
+  confirmPlan,
+};
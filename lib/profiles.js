@@ -0,0 +1,44 @@
+/**
+ * profiles.js
+ *
+ * Helpers for identifying a recipient profile. Safeguard stores (consent,
+ * suppression, ...) are keyed by profile id and by normalised profile URL so
+ * that a record matches no matter which of the two a profiles list uses.
+ */
+
+/* ---------------------------- Profile identity ---------------------------- */
+
+function normalizeProfileUrl(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(String(url).trim());
+    const host = parsed.hostname
+      .toLowerCase()
+      .replace(/^(www|m|mobile|web)\./, "");
+    const pathname = parsed.pathname.replace(/\/+$/, "").toLowerCase();
+
+    // profile.php URLs are identified by their id query param only
+    if (pathname === "/profile.php") {
+      const id = parsed.searchParams.get("id");
+      return `${host}/profile.php?id=${id}`;
+    }
+
+    return `${host}${pathname}`;
+  } catch (err) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+function profileKeys(profile) {
+  const keys = [];
+  if (profile && profile.id) keys.push(`id:${profile.id}`);
+  const url = profile && normalizeProfileUrl(profile.url);
+  if (url) keys.push(`url:${url}`);
+  return keys;
+}
+
+module.exports = {
+  normalizeProfileUrl,
+  profileKeys,
+};
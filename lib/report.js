@@ -0,0 +1,331 @@
+/**
+ * report.js
+ *
+ * Per-run reports built from result records: results.jsonl from the CLI, or
+ * the actor's dataset exported as JSON or JSONL. Records are grouped by their
+ * `runId`; records written before runs had ids are grouped as "no-run-id".
+ *
+ * Each report covers attempts, confirmed / unconfirmed / failed sends, skips
+ * by reason (consent, suppression, cap), error codes, durations, opt-outs
+ * received during the inbox pass, and whether the run stopped or halted.
+ * Opt-out replies themselves are never in the results; they are kept in the
+ * do-not-contact list and the audit log.
+ * When a per-run or 24h cap stopped the run, the profiles it held back (left
+ * unprocessed, with consent and not suppressed) count as cap skips. Records
+ * from before runs logged that figure fall back to every profile left.
+ * It renders as HTML (summary plus one row per profile) or CSV (one row per
+ * record, for spreadsheets).
+ */
+
+const NO_RUN_ID = "no-run-id";
+
+const SKIP_REASONS = {
+  "no-consent": "consent",
+  suppressed: "suppression",
+  "cap-recipient": "cap",
+};
+
+/* --------------------------------- Input ---------------------------------- */
+
+// JSON array (dataset export) or one JSON object per line (results.jsonl)
+function parseResults(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { records: [], invalid: 0 };
+
+  if (trimmed.startsWith("[")) {
+    const records = JSON.parse(trimmed);
+    if (!Array.isArray(records)) throw new Error("Expected a JSON array of records");
+    return { records, invalid: 0 };
+  }
+
+  const records = [];
+  let invalid = 0;
+  for (const line of trimmed.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      invalid += 1;
+    }
+  }
+  return { records, invalid };
+}
+
+function groupByRun(records) {
+  const runs = new Map();
+  for (const record of records) {
+    const runId = record.runId || NO_RUN_ID;
+    if (!runs.has(runId)) runs.set(runId, []);
+    runs.get(runId).push(record);
+  }
+  return runs;
+}
+
+/* --------------------------------- Report --------------------------------- */
+
+// What happened to the profile in one word, used for both HTML and CSV
+function outcome(record) {
+  if (record.optedOut) return "opted-out";
+  if (record.halted) return `halted:${record.halted}`;
+  if (record.stopped) return `stopped:${record.stopped}`;
+  if (record.skipped) return `skipped:${record.skipped}`;
+  if (record.dryRun) return record.success ? "dry-run-ok" : "dry-run-failed";
+  if (record.delivery) return record.delivery;
+  // Records from before send verification
+  return record.success ? "sent-unverified" : "failed";
+}
+
+function isAttempt(record) {
+  return !record.skipped && !record.stopped && !record.halted && !record.optedOut;
+}
+
+function durationStats(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    totalMs: total,
+    minMs: sorted[0],
+    maxMs: sorted[sorted.length - 1],
+    avgMs: Math.round(total / sorted.length),
+    medianMs:
+      sorted.length % 2
+        ? sorted[middle]
+        : Math.round((sorted[middle - 1] + sorted[middle]) / 2),
+  };
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const value = key(item);
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+function buildRunReport(runId, records) {
+  const timestamps = records
+    .map((r) => r.timestamp)
+    .filter(Boolean)
+    .sort();
+  const attempts = records.filter(isAttempt);
+  const skips = records.filter((r) => r.skipped);
+  const capStop = records.find((r) => r.stopped && r.stopped.startsWith("cap-"));
+  const heldBack = capStop ? capStop.heldBack ?? capStop.remaining ?? 0 : 0;
+  const capHeld = {
+    recipient: skips.filter((r) => SKIP_REASONS[r.skipped] === "cap").length,
+    run: capStop && capStop.stopped === "cap-run" ? heldBack : 0,
+    day: capStop && capStop.stopped === "cap-day" ? heldBack : 0,
+  };
+  const capTotal = capHeld.recipient + capHeld.run + capHeld.day;
+  const failures = attempts.filter((r) => !r.success || r.delivery === "unconfirmed");
+
+  return {
+    runId,
+    startedAt: timestamps[0] || null,
+    endedAt: timestamps[timestamps.length - 1] || null,
+    dryRun: records.some((r) => r.dryRun),
+    profiles: records.filter((r) => !r.stopped && !r.optedOut && !r.halted).length,
+    attempted: attempts.length,
+    confirmed: attempts.filter((r) => r.delivery === "confirmed").length,
+    unconfirmed: attempts.filter((r) => r.delivery === "unconfirmed").length,
+    unverified: attempts.filter((r) => outcome(r) === "sent-unverified").length,
+    failed: attempts.filter((r) => !r.success && r.delivery !== "unconfirmed").length,
+    skipped: {
+      total: skips.length - capHeld.recipient + capTotal,
+      consent: skips.filter((r) => SKIP_REASONS[r.skipped] === "consent").length,
+      suppression: skips.filter((r) => SKIP_REASONS[r.skipped] === "suppression").length,
+      cap: capTotal,
+      capByScope: capHeld,
+    },
+    errorCodes: countBy(failures, (r) => r.errorCode || "UNCLASSIFIED"),
+    durations: durationStats(
+      attempts.map((r) => r.durationMs).filter((ms) => Number.isFinite(ms))
+    ),
+    optOuts: records
+      .filter((r) => r.optedOut)
+      .map((r) => ({
+        profileId: r.profileId,
+        url: r.url,
+        reason: r.optedOut,
+        language: r.language || null,
+      })),
+    stop: records.find((r) => r.stopped) || null,
+    halt: records.find((r) => r.halted) || null,
+    records,
+  };
+}
+
+function buildReports(records) {
+  return [...groupByRun(records)].map(([runId, runRecords]) =>
+    buildRunReport(runId, runRecords)
+  );
+}
+
+/* -------------------------------- Rendering ------------------------------- */
+
+const CSV_COLUMNS = [
+  "runId",
+  "timestamp",
+  "profileId",
+  "url",
+  "outcome",
+  "delivery",
+  "errorCode",
+  "errorStep",
+  "error",
+  "reason",
+  "durationMs",
+  "consentMethod",
+  "consentGrantedAt",
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+  const rows = report.records.map((r) => ({
+    runId: report.runId,
+    timestamp: r.timestamp,
+    profileId: r.profileId,
+    url: r.url,
+    outcome: outcome(r),
+    delivery: r.delivery,
+    errorCode: r.errorCode,
+    errorStep: r.errorStep,
+    error: r.error,
+    reason: r.reason || r.consentStatus || r.optedOut,
+    durationMs: r.durationMs,
+    consentMethod: r.consent && r.consent.method,
+    consentGrantedAt: r.consent && r.consent.grantedAt,
+  }));
+
+  return [
+    CSV_COLUMNS.join(","),
+    ...rows.map((row) => CSV_COLUMNS.map((col) => csvCell(row[col])).join(",")),
+  ].join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function seconds(ms) {
+  return ms === null || ms === undefined ? "" : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return "<p>None.</p>";
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+    .join("\n");
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function renderHtml(report) {
+  const d = report.durations;
+  const summary = [
+    ["Started", report.startedAt],
+    ["Ended", report.endedAt],
+    ["Dry run", report.dryRun ? "yes" : "no"],
+    ["Profiles", report.profiles],
+    ["Attempts", report.attempted],
+    ["Confirmed sends", report.confirmed],
+    ["Unconfirmed sends", report.unconfirmed],
+    ...(report.unverified > 0
+      ? [["Sent before send verification existed", report.unverified]]
+      : []),
+    ["Failed", report.failed],
+    ["Skipped", report.skipped.total],
+    ["Opt-outs received", report.optOuts.length],
+    ["Stopped early", report.stop ? report.stop.reason : "no"],
+    ["Halted", report.halt ? `${report.halt.halted}: ${report.halt.reason}` : "no"],
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run report ${escapeHtml(report.runId)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Run report</h1>
+<p>Run <code>${escapeHtml(report.runId)}</code></p>
+
+<h2>Summary</h2>
+${table(["", "Count"], summary)}
+
+<h2>Skips by reason</h2>
+${table(["Reason", "Profiles"], [
+  ["No valid consent", report.skipped.consent],
+  ["Do-not-contact list", report.skipped.suppression],
+  ["Per-recipient cap", report.skipped.capByScope.recipient],
+  ["Per-run cap (run stopped)", report.skipped.capByScope.run],
+  ["Rolling 24h cap (run stopped)", report.skipped.capByScope.day],
+  ["All caps", report.skipped.cap],
+])}
+
+<h2>Errors by code</h2>
+${table(
+  ["Code", "Profiles"],
+  Object.entries(report.errorCodes).sort((a, b) => b[1] - a[1])
+)}
+
+<h2>Durations per attempt</h2>
+${d
+  ? table(["Attempts", "Total", "Average", "Median", "Min", "Max"], [
+      [d.count, seconds(d.totalMs), seconds(d.avgMs), seconds(d.medianMs), seconds(d.minMs), seconds(d.maxMs)],
+    ])
+  : "<p>No timed attempts.</p>"}
+
+<h2>Opt-outs received</h2>
+${table(
+  ["Profile", "URL", "Matched", "Language"],
+  report.optOuts.map((o) => [o.profileId, o.url, o.reason, o.language])
+)}
+
+<h2>Profiles</h2>
+${table(
+  ["Time", "Profile", "Outcome", "Error code", "Step", "Detail", "Duration", "Consent"],
+  report.records.map((r) => [
+    r.timestamp,
+    r.profileId,
+    outcome(r),
+    r.errorCode,
+    r.errorStep,
+    r.error || r.reason || r.consentStatus || r.optedOut,
+    seconds(r.durationMs),
+    r.consent ? `${r.consent.method} (${r.consent.grantedAt})` : "",
+  ])
+)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  NO_RUN_ID,
+  parseResults,
+  buildReports,
+  buildRunReport,
+  renderCsv,
+  renderHtml,
+};
@@ -0,0 +1,105 @@
+/**
+ * apify.js
+ *
+ * Apify storage adapter for lib/core.js, used by the actor. State and session
+ * cookies live in the named "automessage-state" key-value store, results go to
+ * the default dataset and the audit chain to the named "audit" dataset.
+ * The default key-value store is created fresh for every run (and purged on
+ * local start), so it only holds per-run output: halt screenshots and SUMMARY.
+ * The Actor class is passed in so this module doesn't depend on the SDK.
+ */
+
+const { sealJson, openJson, accountKey } = require("../credentials");
+
+// Named storages outlive the run; the consent ledger, do-not-contact list and
+// send counters must carry over from one run to the next
+const STATE_STORE_NAME = "automessage-state";
+const AUDIT_DATASET_NAME = "audit";
+
+const STATE_KEYS = {
+  consent: "CONSENT",
+  suppression: "SUPPRESSION",
+  counters: "SEND_COUNTERS",
+  optOutPhrases: "OPT_OUT_PHRASES",
+  messagePolicy: "MESSAGE_POLICY",
+  auditHead: "AUDIT_HEAD",
+};
+
+async function createApifyStorage(Actor) {
+  const store = await Actor.openKeyValueStore();
+  const stateStore = await Actor.openKeyValueStore(STATE_STORE_NAME);
+  const dataset = await Actor.openDataset();
+  const auditDataset = await Actor.openDataset(AUDIT_DATASET_NAME);
+
+  function stateKey(name) {
+    if (!STATE_KEYS[name]) throw new Error(`Unknown state "${name}"`);
+    return STATE_KEYS[name];
+  }
+
+  return {
+    store,
+
+    stateStore,
+
+    stateKey,
+
+    async readJson(name, fallback) {
+      const value = await stateStore.getValue(stateKey(name));
+      return value ? { ...fallback, ...value } : fallback;
+    },
+
+    async writeJson(name, value) {
+      await stateStore.setValue(stateKey(name), value);
+    },
+
+    async logResult(record) {
+      await dataset.pushData(record);
+    },
+
+    async appendAudit(entry) {
+      await auditDataset.pushData(entry);
+    },
+
+    async readAudit() {
+      const entries = [];
+      await auditDataset.forEach((item) => entries.push(item));
+      return entries;
+    },
+
+    async loadCookies(email, passphrase) {
+      const value = await stateStore.getValue(`cookies-${accountKey(email)}`);
+      if (!value) return null;
+      return openJson(value, passphrase);
+    },
+
+    async saveCookies(email, cookies, passphrase) {
+      if (!passphrase) {
+        throw new Error("A passphrase is required to store session cookies");
+      }
+      await stateStore.setValue(
+        `cookies-${accountKey(email)}`,
+        sealJson(cookies, passphrase)
+      );
+      console.log(`💾 Cookies saved for ${email}`);
+    },
+
+    async saveScreenshot(page) {
+      const key = `HALT-${Date.now()}`;
+      try {
+        await store.setValue(key, await page.screenshot({ fullPage: true }), {
+          contentType: "image/png",
+        });
+        return key;
+      } catch (err) {
+        console.warn("Failed to save halt screenshot:", err.message);
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  STATE_STORE_NAME,
+  AUDIT_DATASET_NAME,
+  createApifyStorage,
+};
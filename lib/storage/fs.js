@@ -0,0 +1,105 @@
+/**
+ * fs.js
+ *
+ * Filesystem storage adapter for lib/core.js, used by the CLI. State lives in
+ * JSON files next to messenger.js, results are appended to results.jsonl, the
+ * audit chain to audit.jsonl and session cookies are encrypted into cookies/.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+
+const { sealJson, openJson, accountKey } = require("../credentials");
+const { saveHaltScreenshot } = require("../checkpoint");
+
+const STATE_FILES = {
+  consent: "consent.json",
+  suppression: "suppression.json",
+  counters: "send-counters.json",
+  optOutPhrases: "opt-out-phrases.json",
+  messagePolicy: "message-policy.json",
+  auditHead: "audit-head.json",
+};
+
+function createFileStorage(baseDir) {
+  const paths = {
+    results: path.join(baseDir, "results.jsonl"),
+    audit: path.join(baseDir, "audit.jsonl"),
+    cookies: path.join(baseDir, "cookies"),
+    halts: path.join(baseDir, "halts"),
+  };
+
+  function stateFile(name) {
+    if (!STATE_FILES[name]) throw new Error(`Unknown state "${name}"`);
+    return path.join(baseDir, STATE_FILES[name]);
+  }
+
+  // Cookie files are named by a hash of the account email, so neither the
+  // session nor the email is readable on disk
+  async function cookieFile(email) {
+    await fs.ensureDir(paths.cookies);
+    return path.join(paths.cookies, `${accountKey(email)}.enc.json`);
+  }
+
+  return {
+    paths,
+
+    stateFile,
+
+    async readJson(name, fallback) {
+      const file = stateFile(name);
+      if (!(await fs.pathExists(file))) return fallback;
+      return { ...fallback, ...(await fs.readJson(file)) };
+    },
+
+    async writeJson(name, value) {
+      await fs.writeJson(stateFile(name), value, { spaces: 2 });
+    },
+
+    async logResult(record) {
+      await fs.appendFile(paths.results, JSON.stringify(record) + "\n");
+    },
+
+    async appendAudit(entry) {
+      await fs.appendFile(paths.audit, JSON.stringify(entry) + "\n");
+    },
+
+    async readAudit() {
+      if (!(await fs.pathExists(paths.audit))) return [];
+      const lines = (await fs.readFile(paths.audit, "utf8")).split("\n");
+      return lines
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.trim())
+        .map(({ line, number }) => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            throw new Error(`${paths.audit} line ${number} is not valid JSON`);
+          }
+        });
+    },
+
+    async loadCookies(email, passphrase) {
+      const file = await cookieFile(email);
+      if (!(await fs.pathExists(file))) return null;
+      return openJson(await fs.readJson(file), passphrase);
+    },
+
+    async saveCookies(email, cookies, passphrase) {
+      if (!passphrase) {
+        throw new Error("A passphrase is required to store session cookies");
+      }
+      await fs.writeJson(await cookieFile(email), sealJson(cookies, passphrase), {
+        spaces: 2,
+      });
+    },
+
+    saveScreenshot(page) {
+      return saveHaltScreenshot(page, paths.halts);
+    },
+  };
+}
+
+module.exports = {
+  createFileStorage,
+};
@@ -0,0 +1,78 @@
+/**
+ * suppression.js
+ *
+ * Persistent do-not-contact list. A suppressed profile is never messaged,
+ * whatever the profiles list or the consent ledger say.
+ *
+ * List format (suppression.json for the CLI, SUPPRESSION record for the actor):
+ * {
+ *   "entries": [
+ *     {
+ *       "profileId": "profile-001",
+ *       "url": "https://www.facebook.com/username",
+ *       "reason": "Replied STOP",
+ *       "source": "cli",
+ *       "addedAt": "2025-08-30T19:00:00.000Z"
+ *     }
+ *   ]
+ * }
+ */
+
+const { normalizeProfileUrl } = require("./profiles");
+
+/* ------------------------------ List queries ------------------------------ */
+
+function matchesProfile(entry, profile) {
+  if (profile.id && entry.profileId === profile.id) return true;
+  const url = normalizeProfileUrl(profile.url);
+  return !!url && normalizeProfileUrl(entry.url) === url;
+}
+
+function findSuppression(list, profile) {
+  const entries = (list && list.entries) || [];
+  return entries.find((entry) => matchesProfile(entry, profile)) || null;
+}
+
+/* ------------------------------ List updates ------------------------------ */
+
+function addSuppression(list, entry) {
+  const { profileId, url } = entry;
+
+  if (!profileId && !url) {
+    throw new Error("Suppression entry needs a profile id or URL");
+  }
+
+  const existing = findSuppression(list, { id: profileId, url });
+  if (existing) return existing;
+
+  const added = {
+    profileId: profileId || null,
+    url: url || null,
+    reason: entry.reason || "do-not-contact",
+    source: entry.source || "manual",
+    addedAt: entry.addedAt || new Date().toISOString(),
+  };
+  if (entry.evidence) added.evidence = entry.evidence;
+
+  list.entries.push(added);
+  return added;
+}
+
+function removeSuppression(list, profile) {
+  const before = list.entries.length;
+  list.entries = list.entries.filter((entry) => !matchesProfile(entry, profile));
+  return before - list.entries.length;
+}
+
+// "https://..." targets a profile URL, anything else a profile id
+function parseSuppressionTarget(value) {
+  const target = String(value).trim();
+  return /^https?:\/\//i.test(target) ? { url: target } : { id: target };
+}
+
+module.exports = {
+  findSuppression,
+  addSuppression,
+  removeSuppression,
+  parseSuppressionTarget,
+};
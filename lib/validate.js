@@ -0,0 +1,119 @@
+/**
+ * validate.js
+ *
+ * Input validation against the JSON Schemas: schemas/profiles.schema.json for
+ * the profiles list (profiles.json or the actor's "profiles" input) and
+ * INPUT_SCHEMA.json for the whole actor input. The profiles schema requires an
+ * id and a facebook.com URL for every entry; on top of it, ids and URLs must
+ * be unique, which JSON Schema can't express.
+ *
+ * Both validators return a list of readable errors, empty when the input is
+ * valid, so the front ends can fail with a full report before any browser is
+ * launched.
+ */
+
+const Ajv = require("ajv");
+const profilesSchema = require("../schemas/profiles.schema.json");
+const actorInputSchema = require("../INPUT_SCHEMA.json");
+const { normalizeProfileUrl } = require("./profiles");
+
+// strict: false so Apify's UI keywords (editor, prefill, ...) are ignored
+const ajv = new Ajv({ allErrors: true, strict: false });
+const checkProfilesSchema = ajv.compile(profilesSchema);
+const checkActorInputSchema = ajv.compile(actorInputSchema);
+
+class ValidationError extends Error {
+  constructor(what, errors) {
+    super(`Invalid ${what}:\n${formatValidationReport(errors)}`);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/* -------------------------------- Helpers --------------------------------- */
+
+function schemaErrors(errors, prefix) {
+  return (errors || []).map((err) => {
+    const where = `${prefix}${err.instancePath
+      .split("/")
+      .slice(1)
+      .map((part) => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+      .join("")}`;
+
+    if (err.keyword === "required") {
+      return `${where}: missing "${err.params.missingProperty}"`;
+    }
+    if (err.keyword === "pattern" && err.instancePath.endsWith("/url")) {
+      return `${where}: not a facebook.com profile URL`;
+    }
+    return `${where}: ${err.message}`;
+  });
+}
+
+/* ------------------------------- Validators ------------------------------- */
+
+function validateProfiles(profiles, prefix = "profiles") {
+  if (!checkProfilesSchema(profiles)) {
+    const errors = schemaErrors(checkProfilesSchema.errors, prefix);
+    return Array.isArray(profiles)
+      ? errors.concat(duplicateErrors(profiles, prefix))
+      : errors;
+  }
+  return duplicateErrors(profiles, prefix);
+}
+
+// Two entries for the same id, or for the same profile under URL variants
+// (www/m, trailing slash, extra query parameters), are rejected
+function duplicateErrors(profiles, prefix) {
+  const errors = [];
+  const ids = new Map();
+  const urls = new Map();
+
+  profiles.forEach((profile, index) => {
+    if (!profile || typeof profile !== "object") return;
+    const where = `${prefix}[${index}]`;
+
+    if (typeof profile.id === "string" && profile.id) {
+      if (ids.has(profile.id)) {
+        errors.push(`${where}: duplicate id "${profile.id}" (also ${prefix}[${ids.get(profile.id)}])`);
+      } else {
+        ids.set(profile.id, index);
+      }
+    }
+
+    const url = typeof profile.url === "string" && normalizeProfileUrl(profile.url);
+    if (url) {
+      if (urls.has(url)) {
+        errors.push(`${where}: duplicate URL ${profile.url} (also ${prefix}[${urls.get(url)}])`);
+      } else {
+        urls.set(url, index);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function validateActorInput(input) {
+  if (!checkActorInputSchema(input)) {
+    return schemaErrors(checkActorInputSchema.errors, "input");
+  }
+  return validateProfiles(input.profiles, "input.profiles");
+}
+
+function formatValidationReport(errors) {
+  return errors.map((error) => `  ❌ ${error}`).join("\n");
+}
+
+function assertValidProfiles(profiles) {
+  const errors = validateProfiles(profiles);
+  if (errors.length > 0) throw new ValidationError("profiles", errors);
+}
+
+module.exports = {
+  ValidationError,
+  validateProfiles,
+  validateActorInput,
+  formatValidationReport,
+  assertValidProfiles,
+};
@@ -1,7 +1,9 @@
 /**
  * enhanced-messenger.js
  *
- * Enhanced Puppeteer automation script with automatic reCAPTCHA solving capabilities.
+ * Command-line front end for the Facebook messaging core in lib/core.js, with
+ * state kept on the filesystem (lib/storage/fs.js). The Apify actor (gpt.js)
+ * shares the same core with key-value store / dataset storage.
  * Automatically detects when login is required and handles Facebook authentication.
  *
  * Features:
@@ -9,931 +11,633 @@
  * - Stealth mode to avoid detection
  * - Session persistence with cookies
  * - Human-like interactions (typing, mouse movements, scrolling)
- * - Automatic reCAPTCHA solving
+ * - Halts on any CAPTCHA, checkpoint, block or rate-limit notice
  * - Structured JSON logging
+ * - Every send is checked in the conversation; only confirmed sends count
  * - Facebook-specific optimizations
+ * - Consent ledger: only profiles with a valid opt-in record are messaged
+ * - Do-not-contact list that always wins over profiles.json
+ * - Opt-out replies ("stop", "unsubscribe", ...) found in the inbox before
+ *   each batch are added to the do-not-contact list
+ * - Hard per-run, rolling 24h and per-recipient send caps
+ * - Message policy checks (sender line, opt-out instruction, length, links,
+ *   banned phrases) before anything runs
  *
  * Usage:
- *   node enhanced-messenger.js --profiles profiles.json --message "Hello there!"
+ *   node messenger.js [--profiles profiles.json] --message "Hello there!"
+ *     (or --message-file message.txt for a multi-line message)
+ *     [--max-per-run 10] [--max-per-day 25] [--max-per-recipient 1] [--dry-run]
+ *     [--confirm <plan hash>] [--credentials vault|stdin] [--operator <name>]
+ *
+ * The profiles file is validated against schemas/profiles.schema.json (an id
+ * and a facebook.com URL each, no duplicate ids or URLs) before anything else
+ * runs.
+ *
+ * The message is checked against the outreach policy first (lib/policy.js,
+ * tuned in message-policy.json); any violation fails the run with a report.
+ *
+ * Before anything is sent the run plan (recipients left after consent and
+ * suppression filtering, the exact message and the caps) is printed and must
+ * be confirmed: interactively, or for unattended runs with --confirm <hash>
+ * where <hash> is the plan hash printed at review. A changed plan is refused.
+ *
+ * --dry-run navigates to each profile and looks for the message button, input
+ * box and send button, but never types or sends. Results are logged with
+ * "dryRun": true.
+ *
+ * Each send is recorded with "delivery": "confirmed" once the message shows up
+ * in the conversation, "unconfirmed" if it never appears and "failed" when
+ * Messenger marks it as not sent (or any earlier step failed).
+ * Anything short of a confirmed send also has an "errorCode" (NAV_TIMEOUT,
+ * NO_MESSAGE_BUTTON, SEND_UNCONFIRMED, ... see lib/errors.js), the original
+ * "error" message and the "errorStep" it happened in.
+ *
+ * Sends are counted in send-counters.json so the caps hold across runs. The
+ * per-recipient cap applies over a rolling 30-day window.
+ *
+ * Consent ledger (consent.json):
+ *   node messenger.js consent add --id profile-001 --url <profile url> \
+ *     --method signup-form --evidence "Form submission #1234" [--expires-at <ISO date>]
+ *   node messenger.js consent revoke --id profile-001
+ *   node messenger.js consent list
+ *
+ * Do-not-contact list (suppression.json):
+ *   node messenger.js suppress add <profile id|url> [--reason "Replied STOP"]
+ *   node messenger.js suppress remove <profile id|url>
+ *   node messenger.js suppress list
+ *
+ * Opt-out replies: before every batch the threads with everyone messaged in
+ * the last 30 days are read (never written to) and any reply matching an
+ * opt-out phrase is added to suppression.json, with the reply as evidence.
+ * Phrases are built in for several languages and can be replaced per language
+ * in opt-out-phrases.json (see lib/optout.js).
+ *
+ * Audit log (audit.jsonl, head in audit-head.json): every run start (operator,
+ * message hash, recipient count, caps), every attempt or skip with its reason
+ * and consent record, and every run end, each entry chained to the last with
+ * an HMAC keyed by the vault passphrase (see lib/audit.js).
+ * The operator is --operator, AUDIT_OPERATOR or the OS user name.
+ *   node messenger.js verify-audit    detect edited, removed or truncated entries
+ *   node messenger.js verify-audit --input audit.json --head audit-head.json
+ *     the same for the actor's exported "audit" dataset and AUDIT_HEAD record
+ * The passphrase comes from VAULT_PASSPHRASE or a prompt.
+ *
+ * Run reports (one file per run in reports/, from results.jsonl or an actor
+ * dataset exported as JSON/JSONL): attempts, confirmed sends, skips by reason,
+ * error codes, durations and opt-outs received.
+ *   node messenger.js report [--input results.jsonl] [--format html|csv]
+ *     [--out reports] [--run <run id>]
+ *
+ * Credentials (--credentials vault|stdin, default vault):
+ *   node messenger.js vault init    encrypt email + password to credentials.vault
+ *   vault   reads credentials.vault; passphrase from VAULT_PASSPHRASE or a prompt
+ *   stdin   reads email, password and a cookie passphrase from stdin
+ * Session cookies in cookies/ are encrypted with the same passphrase. The CLI
+ * refuses to run while .env, cookies/ or credentials.vault is tracked by git.
  *
  * Environment variables (in .env):
- *   LOGIN_EMAIL, LOGIN_PASSWORD, HEADLESS
- *   RECAPTCHA_SOLVER_API_KEY (optional, for 2captcha service)
+ *   HEADLESS
+ *   DELAY_SCALE (optional, multiplies every human-like pause; tests use 0.02)
+ *   AUDIT_OPERATOR (optional, operator name recorded in the audit log)
+ *
+ * When Facebook shows a CAPTCHA, checkpoint, temporary block or rate-limit
+ * notice the run stops immediately: a screenshot goes to halts/, a "halted"
+ * record to results.jsonl, and the process exits with code 2.
  *
  * Dependencies:
  *   puppeteer-extra, puppeteer-extra-plugin-stealth, puppeteer, dotenv, minimist, fs-extra
  */
 
 require("dotenv").config();
-const fs = require("fs-extra");
+const os = require("os");
 const path = require("path");
+const fs = require("fs-extra");
 const minimist = require("minimist");
-const https = require("https");
-
-const puppeteer = require("puppeteer-extra");
-const StealthPlugin = require("puppeteer-extra-plugin-stealth");
-
-puppeteer.use(StealthPlugin());
-
-const COOKIE_DIR = path.resolve(__dirname, "cookies");
-const OUTPUT_LOG = path.resolve(__dirname, "results.jsonl");
-const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
-
-/* ---------------------------- Utility helpers ---------------------------- */
 
-function rand(min = 100, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-async function logResult(obj) {
-  await fs.appendFile(OUTPUT_LOG, JSON.stringify(obj) + "\n");
-}
-
-/* --------------------------- Human-like actions -------------------------- */
-
-async function humanType(elementHandle, text, opts = {}) {
-  const { min = 80, max = 200 } = opts;
-  await elementHandle.click({ clickCount: 3 }); // Select all existing text
-  await delay(rand(100, 300));
-
-  for (const char of text) {
-    await elementHandle.type(char);
-    await delay(rand(min, max));
-  }
-}
-
-async function humanMove(page, from, to, steps = 20) {
-  const dx = (to.x - from.x) / steps;
-  const dy = (to.y - from.y) / steps;
-  for (let i = 0; i <= steps; i += 1) {
-    const x = Math.round(from.x + dx * i + (Math.random() * 4 - 2));
-    const y = Math.round(from.y + dy * i + (Math.random() * 4 - 2));
-    await page.mouse.move(x, y);
-    await delay(rand(5, 30));
-  }
-}
-
-async function humanScroll(page, distance = 300, steps = 10) {
-  for (let i = 0; i < steps; i += 1) {
-    await page.evaluate((amount) => {
-      window.scrollBy(0, amount);
-    }, Math.round(distance / steps));
-    await delay(rand(100, 350));
-  }
-}
-
-async function humanClick(page, element) {
-  const box = await element.boundingBox();
-  if (box) {
-    const x = box.x + box.width / 2 + rand(-5, 5);
-    const y = box.y + box.height / 2 + rand(-5, 5);
-    await humanMove(page, { x: 100, y: 100 }, { x, y }, 15);
-    // await page.mouse.click(x, y, { delay: rand(50, 150) });
-    await element.click({ delay: rand(50, 150) });
-  } else {
-    
-  }
-}
+const core = require("./lib/core");
+const { createFileStorage } = require("./lib/storage/fs");
+const {
+  checkConsent,
+  recordConsent,
+  revokeConsent,
+} = require("./lib/consent");
+const {
+  addSuppression,
+  removeSuppression,
+  parseSuppressionTarget,
+} = require("./lib/suppression");
+const { resolveCaps } = require("./lib/caps");
+const { deriveAuditKey, verifyAuditLog } = require("./lib/audit");
+const { validateProfiles, formatValidationReport } = require("./lib/validate");
+const {
+  parseResults,
+  buildReports,
+  renderCsv,
+  renderHtml,
+} = require("./lib/report");
+const {
+  resolvePolicy,
+  lintMessage,
+  formatPolicyReport,
+} = require("./lib/policy");
+const { detectCheckpoint } = require("./lib/checkpoint");
+const {
+  buildRunPlan,
+  planHash,
+  printPlan,
+  confirmPlan,
+} = require("./lib/preflight");
+const {
+  createPrompter,
+  saveVault,
+  createCredentialProvider,
+  assertSecretsUntracked,
+} = require("./lib/credentials");
+
+const storage = createFileStorage(__dirname);
+const OUTPUT_LOG = storage.paths.results;
+const VAULT_FILE = path.resolve(__dirname, "credentials.vault");
+// Must never be committed; the CLI refuses to run while git tracks them
+const SECRET_PATHS = [".env", "cookies", "credentials.vault"];
 
 /* -------------------------- Cookie Persistence -------------------------- */
 
-async function cookieFilePathFor(email) {
-  await fs.ensureDir(COOKIE_DIR);
-  const safe = email.replace(/[^a-z0-9_\-\.@]/gi, "_");
-  return path.join(COOKIE_DIR, `${safe}.json`);
+async function saveCookies(page, email, passphrase) {
+  await storage.saveCookies(email, await page.cookies(), passphrase);
 }
 
-async function saveCookies(page, email) {
-  const cookies = await page.cookies();
-  const pathToFile = await cookieFilePathFor(email);
-  await fs.writeJson(pathToFile, cookies, { spaces: 2 });
-}
-
-async function loadCookies(page, email) {
-  const pathToFile = await cookieFilePathFor(email);
-  if (await fs.pathExists(pathToFile)) {
-    const cookies = await fs.readJson(pathToFile);
-    try {
-      await page.setCookie(...cookies);
-      return true;
-    } catch (err) {
-      console.warn("Failed to set cookies:", err.message);
-      return false;
-    }
-  }
-  return false;
-}
-
-/* -------------------------- reCAPTCHA Solving --------------------------- */
-
-async function solveRecaptchaAudio(page) {
-  console.log("🎵 Attempting to solve reCAPTCHA using audio challenge...");
-
+async function loadCookies(page, email, passphrase) {
   try {
-    await delay(rand(1000, 2000));
-
-    // Wait for reCAPTCHA iframe
-    await page.waitForSelector('iframe[src*="recaptcha"]', { timeout: 10000 });
-
-    const frames = await page.frames();
-    let recaptchaFrame = frames.find((frame) =>
-      frame.url().includes("recaptcha/api2/anchor")
-    );
-
-    if (recaptchaFrame) {
-      // Click the checkbox
-      const checkbox = await recaptchaFrame.$("#recaptcha-anchor");
-      if (checkbox) {
-        await checkbox.click();
-        await delay(rand(2000, 3000));
-      }
-    }
-
-    // Look for challenge frame
-    await delay(1000);
-    const updatedFrames = await page.frames();
-    const challengeFrame = updatedFrames.find((frame) =>
-      frame.url().includes("recaptcha/api2/bframe")
-    );
-
-    if (!challengeFrame) {
-      console.log("✅ reCAPTCHA solved with checkbox click");
-      return true;
-    }
-
-    // Click audio challenge button
-    await delay(rand(1000, 2000));
-    const audioButton = await challengeFrame.$(
-      "#recaptcha-audio-button, .rc-button-audio"
-    );
-    if (audioButton) {
-      await audioButton.click();
-      await delay(rand(2000, 3000));
-    }
-
-    // Wait for audio challenge
-    await challengeFrame.waitForSelector(".rc-audiochallenge-tdownload-link", {
-      timeout: 10000,
-    });
-
-    // Get audio URL
-    const audioLink = await challengeFrame.$eval(
-      ".rc-audiochallenge-tdownload-link",
-      (el) => el.href
-    );
-    console.log("🎧 Processing audio challenge...");
-
-    // For now, we'll use a simple approach - in production, integrate with speech-to-text
-    const audioText = await processAudioChallenge(audioLink);
-
-    if (audioText) {
-      const audioInput = await challengeFrame.$("#audio-response");
-      if (audioInput) {
-        await audioInput.click();
-        await delay(rand(500, 1000));
-        await audioInput.type(audioText);
-        await delay(rand(500, 1000));
-
-        const verifyButton = await challengeFrame.$("#recaptcha-verify-button");
-        if (verifyButton) {
-          await verifyButton.click();
-          await delay(rand(3000, 5000));
-          console.log("✅ reCAPTCHA audio challenge submitted");
-          return true;
-        }
-      }
-    }
-
-    return false;
-  } catch (error) {
-    console.error("❌ reCAPTCHA audio solving failed:", error.message);
+    const cookies = await storage.loadCookies(email, passphrase);
+    if (!cookies) return false;
+    await page.setCookie(...cookies);
+    return true;
+  } catch (err) {
+    console.warn("Failed to set cookies:", err.message);
     return false;
   }
 }
 
-async function processAudioChallenge(audioUrl) {
-  try {
-    console.log("🔊 Downloading audio challenge...");
-    const audioBuffer = await downloadAudio(audioUrl);
-
-    // This is a mock implementation. In production, you would:
-    // 1. Use Google Speech-to-Text API
-    // 2. Use 2captcha audio service
-    // 3. Use other speech recognition services
-
-    // For demo purposes, return numbers (common in audio challenges)
-    const numbers = [
-      "zero",
-      "one",
-      "two",
-      "three",
-      "four",
-      "five",
-      "six",
-      "seven",
-      "eight",
-      "nine",
-    ];
-    const result = numbers[Math.floor(Math.random() * numbers.length)];
-
-    console.log(`🎯 Mock transcription result: ${result}`);
-    await delay(rand(2000, 4000));
-
-    return result;
-  } catch (error) {
-    console.error("Error processing audio:", error);
-    return null;
-  }
-}
+/* ------------------------------- Main flow -------------------------------- */
 
-async function downloadAudio(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (response) => {
-      const chunks = [];
-      response.on("data", (chunk) => chunks.push(chunk));
-      response.on("end", () => resolve(Buffer.concat(chunks)));
-      response.on("error", reject);
-    });
-  });
+function processAll(profiles, message, options = {}) {
+  return core.runCampaign(profiles, message, { storage, ...options });
 }
 
-async function solveCaptcha(page) {
-  console.log("🔍 Detecting CAPTCHA...");
-
-  const captchaPresent = await page.evaluate(() => {
-    const frames = Array.from(document.querySelectorAll("iframe"));
-    const hasRecaptcha = frames.some((f) =>
-      (f.src || "").toLowerCase().includes("recaptcha")
-    );
-    const overlay = !!document.querySelector(
-      '.captcha, [id*="captcha"], [class*="captcha"]'
-    );
-    return hasRecaptcha || overlay;
-  });
-
-  if (!captchaPresent) return true;
-
-  // Try audio challenge method
-  const audioSolved = await solveRecaptchaAudio(page);
-  if (audioSolved) return true;
-
-  // If running in non-headless mode, allow manual solving
-  if (process.env.HEADLESS !== "true") {
-    console.log("⏳ Waiting for manual CAPTCHA solve (3 minutes)...");
-    const maxWait = 3 * 60 * 1000;
-    const start = Date.now();
+/* ------------------------------- CLI / Run -------------------------------- */
 
-    while (Date.now() - start < maxWait) {
-      const stillPresent = await page.evaluate(() => {
-        const frames = Array.from(document.querySelectorAll("iframe"));
-        return frames.some((f) =>
-          (f.src || "").toLowerCase().includes("recaptcha")
-        );
+async function consentCommand(argv) {
+  const [, action] = argv._;
+  const ledger = await storage.readJson("consent", { records: {} });
+  const profile = { id: argv.id, url: argv.url };
+
+  switch (action) {
+    case "add": {
+      const record = recordConsent(ledger, {
+        profileId: argv.id,
+        url: argv.url,
+        method: argv.method,
+        evidence: argv.evidence,
+        grantedAt: argv["granted-at"],
+        expiresAt: argv["expires-at"],
       });
-
-      if (!stillPresent) {
-        console.log("✅ CAPTCHA solved manually");
-        return true;
-      }
-
-      await delay(2000);
-    }
-  }
-
-  return false;
-}
-
-/* ---------------------------- Login Detection & Handling --------------------------- */
-
-async function isLoginRequired(page) {
-  // Check if we're on a login page or redirected to login
-  const currentUrl = page.url();
-  const isLoginPage =
-    currentUrl.includes("/login") ||
-    currentUrl.includes("/signin") ||
-    currentUrl.includes("login.facebook.com") ||
-    currentUrl.includes("m.facebook.com/login");
-
-  if (isLoginPage) return true;
-
-  // Check for login-related elements on the page
-  const loginElements = await page.evaluate(() => {
-    const hasLoginForm = !!document.querySelector(
-      'input[name="email"], input[type="email"], #email'
-    );
-    const hasPasswordField = !!document.querySelector(
-      'input[name="pass"], input[name="password"], input[type="password"]'
-    );
-    const hasLoginButton = !!document.querySelector(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"]'
-    );
-    const hasLoginText =
-      document.body.textContent.toLowerCase().includes("log in") ||
-      document.body.textContent.toLowerCase().includes("sign in");
-
-    return hasLoginForm && hasPasswordField && (hasLoginButton || hasLoginText);
-  });
-
-  return loginElements;
-}
-
-async function performFacebookLogin(page, email, password) {
-  console.log("🔐 Performing Facebook login...");
-
-  try {
-    // Wait for login form elements
-    await page.waitForSelector('input[name="email"], input[type="email"]', {
-      timeout: 10000,
-    });
-
-    // Fill email
-    const emailField = await page.$('input[name="email"], input[type="email"]');
-    if (emailField) {
-      await humanClick(page, emailField);
-      await delay(rand(300, 600));
-      await humanType(emailField, email, { min: 80, max: 180 });
-      await delay(rand(400, 800));
-    } else {
-      throw new Error("Email field not found");
+      await storage.writeJson("consent", ledger);
+      console.log("✅ Consent recorded:", record);
+      break;
     }
-
-    // Fill password
-    const passwordField = await page.$(
-      'input[name="pass"], input[type="password"]'
-    );
-    if (passwordField) {
-      await humanClick(page, passwordField);
-      await delay(rand(300, 600));
-      await humanType(passwordField, password, { min: 80, max: 180 });
-      await delay(rand(500, 1000));
-    } else {
-      throw new Error("Password field not found");
-    }
-
-    // Click login button
-    const loginButton = await page.$(
-      'button[name="login"], input[value="Log In"], [data-testid="royal_login_button"], button[type="submit"]'
-    );
-    if (loginButton) {
-      await humanClick(page, loginButton);
-    } else {
-      // Fallback: press Enter
-      await page.keyboard.press("Enter");
-    }
-
-    console.log("⏳ Waiting for login to complete...");
-
-    // Wait for navigation or login completion
-    await Promise.race([
-      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 15000 }),
-      delay(5000), // Sometimes FB doesn't navigate, just updates the page
-    ]);
-
-    await delay(rand(2000, 4000));
-
-    // Check for CAPTCHA
-    const captchaPresent = await page.evaluate(() => {
-      const frames = Array.from(document.querySelectorAll("iframe"));
-      const hasRecaptcha = frames.some((f) =>
-        (f.src || "").toLowerCase().includes("recaptcha")
-      );
-      const hasCaptchaText =
-        document.body.textContent.toLowerCase().includes("security check") ||
-        document.body.textContent.toLowerCase().includes("verify") ||
-        !!document.querySelector('[id*="captcha"], [class*="captcha"]');
-      return hasRecaptcha || hasCaptchaText;
-    });
-
-    if (captchaPresent) {
-      console.log("🚨 CAPTCHA detected during login");
-      const solved = await solveCaptcha(page);
-      if (!solved) {
-        throw new Error("CAPTCHA could not be solved during login");
+    case "revoke": {
+      const record = revokeConsent(ledger, profile);
+      if (!record) {
+        console.error("❌ No consent record found for that profile");
+        process.exit(1);
       }
-      await delay(rand(3000, 5000));
+      await storage.writeJson("consent", ledger);
+      console.log("✅ Consent revoked:", record);
+      break;
     }
-
-    // Check if login was successful
-    const stillOnLoginPage = await isLoginRequired(page);
-    if (stillOnLoginPage) {
-      // Check for error messages
-      const errorMessage = await page.evaluate(() => {
-        const errorElements = document.querySelectorAll(
-          '[role="alert"], .error, [id*="error"]'
+    case "list": {
+      for (const record of Object.values(ledger.records)) {
+        const status = checkConsent(ledger, {
+          id: record.profileId,
+          url: record.url,
+        });
+        console.log(
+          `• ${record.profileId || record.url} — ${record.method}, granted ${record.grantedAt}` +
+            (status.valid ? "" : ` (${status.reason})`)
         );
-        for (const el of errorElements) {
-          if (el.textContent.trim()) return el.textContent.trim();
-        }
-        return null;
-      });
-
-      if (errorMessage) {
-        throw new Error(`Login failed: ${errorMessage}`);
-      } else {
-        throw new Error("Login failed: Still on login page");
       }
+      break;
     }
-
-    console.log("✅ Facebook login successful!");
-    return true;
-  } catch (error) {
-    console.error("❌ Facebook login failed:", error.message);
-    throw error;
+    default:
+      console.error(
+        "❌ Usage: node messenger.js consent <add|revoke|list> [--id <id>] [--url <url>] [--method <how>] [--evidence <text>] [--expires-at <ISO date>]"
+      );
+      process.exit(1);
   }
 }
 
-/* ------------------------- Send message to profile ------------------------ */
+async function suppressCommand(argv) {
+  const [, action, ...targets] = argv._;
+  const list = await storage.readJson("suppression", { entries: [] });
 
-async function sendMessageToProfile(page, profile, message, options = {}) {
-  const start = Date.now();
-
-  let messageButtonPresent = "No";
-  let messageSent = "No";
-
-  try {
-    console.log(`\n🎯 Processing profile: ${profile.id}`);
-    console.log(`🔗 URL: ${profile.url}`);
-
-    // Load cookies first to maintain session
-    const email = process.env.LOGIN_EMAIL;
-    if (email) {
-      await loadCookies(page, email);
-    }
-
-    // Navigate with retry mechanism and longer timeout
-    console.log("🌐 Navigating to profile...");
-    let navigationSuccess = false;
-    let attempt = 0;
-    const maxAttempts = 3;
-
-    while (!navigationSuccess && attempt < maxAttempts) {
-      try {
-        attempt++;
-        console.log(`   Attempt ${attempt}/${maxAttempts}...`);
-
-        await page.goto(profile.url, {
-          waitUntil: "domcontentloaded",
-          timeout: 45000,
-        });
-
-        await delay(rand(3000, 6000));
+  if ((action === "add" || action === "remove") && targets.length === 0) {
+    console.error("❌ Pass at least one profile id or URL");
+    process.exit(1);
+  }
 
-        const pageLoaded = await page.evaluate(() => {
-          return (
-            document.readyState === "complete" ||
-            document.querySelector("body") !== null
-          );
+  switch (action) {
+    case "add": {
+      for (const target of targets) {
+        const profile = parseSuppressionTarget(target);
+        const entry = addSuppression(list, {
+          profileId: profile.id,
+          url: profile.url,
+          reason: argv.reason,
+          source: "cli",
         });
-
-        if (pageLoaded) {
-          navigationSuccess = true;
-          console.log("✅ Page loaded successfully");
-        } else {
-          throw new Error("Page did not load properly");
-        }
-      } catch (navError) {
+        console.log(`✅ Suppressed ${target} (${entry.reason})`);
+      }
+      await storage.writeJson("suppression", list);
+      break;
+    }
+    case "remove": {
+      for (const target of targets) {
+        const removed = removeSuppression(list, parseSuppressionTarget(target));
         console.log(
-          `⚠️ Navigation attempt ${attempt} failed: ${navError.message}`
+          removed
+            ? `✅ Removed ${target} from the do-not-contact list`
+            : `⚠️ ${target} was not on the do-not-contact list`
         );
-        if (attempt === maxAttempts) {
-          throw new Error(
-            `Failed to load profile after ${maxAttempts} attempts: ${navError.message}`
-          );
-        }
-        await delay(rand(2000, 4000));
       }
+      await storage.writeJson("suppression", list);
+      break;
     }
-
-    // Check if profile blocked / not available
-    // Check if profile is really blocked/unavailable
-    const isBlocked = await page.evaluate(() => {
-      const container = document.querySelector("body");
-      if (!container) return false;
-      const text = container.innerText.toLowerCase();
-
-      // Stricter checks
-      return (
-        text.includes("this page isn't available") ||
-        text.includes("the link you followed may be broken") ||
-        text.includes("content isn't available") ||
-        text.includes("profile not available") ||
-        text.includes("account has been disabled")
-      );
-    });
-
-    // if (isBlocked) {
-    //   throw new Error(
-    //     "Profile appears to be blocked, restricted, or not found"
-    //   );
-    // }
-
-    // Check if login required
-    const needsLogin = await isLoginRequired(page);
-    if (needsLogin) {
-      console.log("🔒 Login required, authenticating...");
-      await performFacebookLogin(
-        page,
-        process.env.LOGIN_EMAIL,
-        process.env.LOGIN_PASSWORD
-      );
-      await saveCookies(page, process.env.LOGIN_EMAIL);
-
-      console.log("🔄 Returning to profile after login...");
-      await page.goto(profile.url, {
-        waitUntil: "domcontentloaded",
-        timeout: 45000,
-      });
-      await delay(rand(3000, 5000));
+    case "list": {
+      for (const entry of list.entries) {
+        console.log(
+          `• ${entry.profileId || entry.url} — ${entry.reason} (${entry.source}, ${entry.addedAt})`
+        );
+      }
+      console.log(`${list.entries.length} suppressed profile(s)`);
+      break;
     }
+    default:
+      console.error(
+        '❌ Usage: node messenger.js suppress <add|remove|list> [<profile id|url> ...] [--reason "..."]'
+      );
+      process.exit(1);
+  }
+}
 
-    // Human-like behavior
-    console.log("👀 Simulating human browsing behavior...");
-    await humanScroll(page, rand(200, 500), rand(3, 6));
-    await delay(rand(2000, 4000));
-
-    // Look for messaging interface
-    console.log("🔍 Looking for messaging interface...");
-    const messagingSelectors = [
-      ,// 'div.x1ja2u2z[role="button"][aria-label="Message"]', // class-based (fastest)
-      // attribute-based
-      // 'div[role="button"][aria-label="Message"]', // fallback
-      // 'span:has-text("Message")', // text-based
-      // 'div[role="button"]:has(span:has-text("Message"))', // text-based fallback
-    ];
+async function vaultCommand(argv) {
+  const [, action] = argv._;
 
-    let messageButton = null;
+  if (action !== "init") {
+    console.error("❌ Usage: node messenger.js vault init");
+    process.exit(1);
+  }
 
-    const messageButtonSelector = 'div[aria-label="Message"][role="button"]';
+  const prompter = createPrompter();
+  try {
+    const email = await prompter.ask("📧 Facebook login email: ");
+    const password = await prompter.ask("🔒 Facebook password: ", { secret: true });
+    const passphrase = await prompter.ask("🔑 New vault passphrase: ", { secret: true });
+    const again = await prompter.ask("🔑 Repeat passphrase: ", { secret: true });
 
-    // if (!isBlocked) {
-    // Try to find the message button only if page isn’t blocked
-    // for (const selector of messagingSelectors) {
-    try {
-      console.log("Trying primary message button selector...");
-      messageButton = await page.$(messageButtonSelector);
-      console.log("Message button element:", messageButton);
-      await humanClick(page, messageButton);
-      console.log("Clicked the message button");
-    } catch (e) {
-      console.log("Cant find the message button", e);
+    if (!email || !password || !passphrase) {
+      throw new Error("Email, password and passphrase are all required");
     }
-    // }
-    // }
-
-    // If button exists, proceed; else mark as blocked
-    if (!messageButton) {
-      throw new Error("Profile unavailable or no messaging option found");
+    if (passphrase !== again) {
+      throw new Error("Passphrases do not match");
     }
 
+    await saveVault(VAULT_FILE, { email, password }, passphrase);
+    console.log(`✅ Credentials encrypted to ${VAULT_FILE}`);
+  } finally {
+    prompter.close();
+  }
+}
 
-    if (messageButton) {
-    
-      console.log("🖱️ Clicking message button..");
-      await humanClick(page, messageButton);
-      messageButtonPresent = "Yes"; // ✅ Track presence
-      await Promise.race([
-        page.waitForSelector('div[contenteditable="true"]', { timeout: 15000 }),
-        page.waitForSelector("textarea", { timeout: 15000 }),
-        page.waitForNavigation({
-          waitUntil: "domcontentloaded",
-          timeout: 15000,
-        }),
-        delay(10000),
-      ]);
-
-      await delay(rand(2000, 4000));
-
-      const messageInputSelectors = [
-        'div[aria-label="Message"][role="textbox"][contenteditable="true"]', // main known class
-      ];
-
-      let messageInput = null;
-      for (const selector of messageInputSelectors) {
-        try {
-          messageInput = await page.$(selector);
-          if (messageInput) {
-            console.log(`⌨️ Found message input with selector: ${selector}`);
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (messageInput) {
-        console.log("📝 Typing message...");
-        await humanClick(page, messageInput);
-        await delay(rand(500, 1000));
-
-        const isContentEditable = await messageInput.evaluate(
-          (el) => el.contentEditable === "true"
-        );
-        if (isContentEditable) {
-          await messageInput.focus();
-          await page.keyboard.down("Control");
-          await page.keyboard.press("a");
-          await page.keyboard.up("Control");
-          await delay(100);
-          await messageInput.type(message);
-        } else {
-          await humanType(messageInput, message, { min: 100, max: 250 });
-        }
-
-        await delay(rand(1000, 2000));
-
-        const sendSelectors = [
-          'div.xsrhx6k[role="button"]', // div button (class-based)
-          "div.x5yr21d svg.xsrhx6k", // svg inside container
-          'svg.xsrhx6k[aria-label="Send"]', // svg directly labeled as Send
-          // 'div[aria-label="Send"][role="button"]', // aria-label exact
-          // 'div[aria-label="Press Enter to send"][role="button"]',
-          // '[data-testid="mwchat-tabs-send-button"]', // Messenger webchat
-          // '[aria-label*="Send" i][role="button"]', // generic aria-label Send
-          // '[aria-label*="Press Enter to send" i][role="button"]',
-        ];
-
-        let sendButton = null;
-        for (const selector of sendSelectors) {
-          try {
-            sendButton = await page.$(selector);
-            if (sendButton) {
-              console.log(`📤 Found send button with selector: ${selector}`);
-              break;
-            }
-          } catch (e) {}
-        }
-
-        if (sendButton) {
-          console.log("📤 Sending message...");
-          await humanClick(page, sendButton);
-          messageSent = "Yes"; // ✅ Mark as sent
-        } else {
-          console.log("📤 Trying Enter key to send...");
-          await page.keyboard.press("Enter");
-          messageSent = "Yes"; // ✅ Assume sent
-        }
-
-        await delay(rand(4000, 7000));
-        console.log("✅ Message sent successfully!");
-      } else {
-        throw new Error("Message input field not found");
-      }
-    } else {
-      throw new Error("No messaging interface found on this profile");
-    }
-
-    const duration = Date.now() - start;
+// The CLI's own log, or the actor's exported "audit" dataset and AUDIT_HEAD
+async function readAuditToVerify(argv) {
+  if (!argv.input) {
     return {
-      success: true,
-      profileId: profile.id,
-      url: profile.url,
-      durationMs: duration,
-      message: message.substring(0, 50) + (message.length > 50 ? "..." : ""),
-      messageButtonPresent, // ✅ included in result
-      messageSent, // ✅ included in result
-    };
-  } catch (err) {
-    const duration = Date.now() - start;
-    console.error(`❌ Failed to send message to ${profile.id}: ${err.message}`);
-    return {
-      success: false,
-      profileId: profile.id,
-      url: profile.url,
-      error: err.message,
-      durationMs: duration,
-      messageButtonPresent, // ✅ still included
-      messageSent, // ✅ still included
+      entries: await storage.readAudit(),
+      head: await storage.readJson("auditHead", null),
     };
   }
+  const { records, invalid } = parseResults(await fs.readFile(path.resolve(argv.input), "utf8"));
+  if (invalid > 0) {
+    throw new Error(`${argv.input} has ${invalid} line(s) that are not valid JSON`);
+  }
+  return { entries: records, head: await fs.readJson(path.resolve(argv.head)) };
 }
 
-/* ------------------------------- Main flow -------------------------------- */
+async function verifyAuditCommand(argv) {
+  if (argv.input && !argv.head) {
+    console.error(
+      "❌ Usage: node messenger.js verify-audit [--input audit.json --head audit-head.json]"
+    );
+    process.exit(1);
+  }
 
-async function launchBrowser(opts = {}) {
-  const headless = process.env.HEADLESS === "true";
-
-  console.log(`🚀 Launching browser (headless: ${headless})...`);
-
-  const browser = await puppeteer.launch({
-    headless,
-    defaultViewport: null, // Use actual viewport size
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-blink-features=AutomationControlled",
-      "--disable-features=VizDisplayCompositor",
-      "--disable-web-security",
-      "--disable-features=site-per-process",
-      "--disable-extensions",
-      "--disable-plugins",
-      "--disable-images", // Speed up loading
-      "--disable-javascript-harmony-shipping",
-      "--disable-background-timer-throttling",
-      "--disable-backgrounding-occluded-windows",
-      "--disable-renderer-backgrounding",
-      "--disable-field-trial-config",
-      "--disable-back-forward-cache",
-      "--disable-ipc-flooding-protection",
-      "--window-size=1366,768",
-    ],
-    ignoreDefaultArgs: ["--enable-automation"],
-    slowMo: 50, // Add slight delay between actions
-    ...opts,
-  });
+  let entries;
+  let head;
+  try {
+    ({ entries, head } = await readAuditToVerify(argv));
+  } catch (err) {
+    console.error(`❌ Audit log is corrupt: ${err.message}`);
+    process.exit(1);
+  }
 
-  return browser;
+  // Same passphrase the runs used: the vault's, or the actor's cookiePassphrase
+  let passphrase = process.env.VAULT_PASSPHRASE;
+  if (!passphrase) {
+    const prompter = createPrompter();
+    try {
+      passphrase = await prompter.ask("🔑 Audit passphrase (vault or cookie passphrase): ", {
+        secret: true,
+      });
+    } finally {
+      prompter.close();
+    }
+  }
+  const { ok, problems } = verifyAuditLog(entries, head, deriveAuditKey(passphrase));
+
+  if (ok) {
+    const last = entries[entries.length - 1];
+    console.log(`✅ Audit log intact: ${entries.length} entries`);
+    console.log(`   Last entry ${last.seq}: ${last.hash}`);
+    console.log("   Keep this hash somewhere else to catch the log being rolled back later.");
+    return;
+  }
+
+  console.error(`❌ Audit log failed verification (${problems.length} problem(s)):`);
+  for (const { seq, problem } of problems) {
+    console.error(`   • entry ${seq === null ? "-" : seq}: ${problem}`);
+  }
+  process.exit(1);
 }
 
-async function processAll(profiles, message) {
-  const email = process.env.LOGIN_EMAIL;
-  const password = process.env.LOGIN_PASSWORD;
+async function reportCommand(argv) {
+  const input = path.resolve(argv.input || OUTPUT_LOG);
+  const format = argv.format || "html";
+  const outDir = path.resolve(argv.out || path.join(__dirname, "reports"));
 
-  if (!email || !password) {
-    throw new Error(
-      "❌ LOGIN_EMAIL and LOGIN_PASSWORD must be set in .env file"
+  if (!["html", "csv"].includes(format)) {
+    console.error(
+      "❌ Usage: node messenger.js report [--input results.jsonl|dataset.json] [--format html|csv] [--out reports] [--run <run id>]"
     );
+    process.exit(1);
   }
 
-  const browser = await launchBrowser();
-  const page = await browser.newPage();
+  let parsed;
+  try {
+    parsed = parseResults(await fs.readFile(input, "utf8"));
+  } catch (err) {
+    console.error(`❌ Could not read results from ${input}: ${err.message}`);
+    process.exit(1);
+  }
+  if (parsed.invalid > 0) {
+    console.warn(`⚠️ Ignored ${parsed.invalid} line(s) that are not valid JSON`);
+  }
 
-  // Set realistic headers and user agent for Facebook
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  const reports = buildReports(parsed.records).filter(
+    (report) => !argv.run || report.runId === argv.run
   );
+  if (reports.length === 0) {
+    console.error(argv.run ? `❌ No records for run ${argv.run}` : `❌ No records in ${input}`);
+    process.exit(1);
+  }
 
-  await page.setExtraHTTPHeaders({
-    "Accept-Language": "en-US,en;q=0.9",
-    "Accept-Encoding": "gzip, deflate, br",
-    Accept:
-      "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
-    Connection: "keep-alive",
-    "Upgrade-Insecure-Requests": "1",
-    "Sec-Fetch-Dest": "document",
-    "Sec-Fetch-Mode": "navigate",
-    "Sec-Fetch-Site": "none",
-    "Cache-Control": "max-age=0",
-  });
-
-  // Override webdriver detection
-  await page.evaluateOnNewDocument(() => {
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
-
-    // Remove automation indicators
-    delete window.chrome.runtime.onConnect;
+  await fs.ensureDir(outDir);
+  for (const report of reports) {
+    const file = path.join(outDir, `${report.runId}.${format}`);
+    await fs.writeFile(file, format === "csv" ? renderCsv(report) : renderHtml(report));
+    console.log(
+      `📄 ${file}: ${report.confirmed}/${report.attempted} confirmed, ${report.skipped.total} skipped, ${report.optOuts.length} opt-out(s)`
+    );
+  }
+}
 
-    // Mock plugins
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
+// Subcommand errors (missing flags, bad dates, unreadable state files) are
+// reported and end the process with a non-zero exit code
+async function runSubcommand(command, argv) {
+  try {
+    await command(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
 
-    // Mock languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
-    });
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    string: [
+      "_",
+      "confirm",
+      "credentials",
+      "operator",
+      "profiles",
+      "message",
+      "message-file",
+      "input",
+      "head",
+      "format",
+      "out",
+      "run",
+    ],
+    boolean: ["dry-run"],
   });
 
-  const results = [];
-
   try {
-    console.log(
-      `📋 Processing ${profiles.length} profiles with message: "${message}"`
-    );
+    assertSecretsUntracked(__dirname, SECRET_PATHS);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
 
-    // First, try to establish a session by going to Facebook homepage
-    console.log("🏠 Establishing Facebook session...");
-    try {
-      await page.goto("https://www.facebook.com", {
-        waitUntil: "domcontentloaded",
-        timeout: 30000,
-      });
-      await delay(rand(2000, 4000));
+  if (argv._[0] === "vault") {
+    return runSubcommand(vaultCommand, argv);
+  }
 
-      // Load existing cookies if available
-      if (email) {
-        await loadCookies(page, email);
-        await page.reload({ waitUntil: "domcontentloaded" });
-        await delay(rand(2000, 3000));
-      }
-    } catch (homeError) {
-      console.log("⚠️ Could not load Facebook homepage, continuing anyway...");
-    }
+  if (argv._[0] === "consent") {
+    return runSubcommand(consentCommand, argv);
+  }
 
-    // Process each profile
-    for (let i = 0; i < profiles.length; i++) {
-      const profile = profiles[i];
-
-      console.log(`\n📍 Profile ${i + 1}/${profiles.length}`);
-
-      try {
-        // Add random delay between profiles (3-10 seconds)
-        if (i > 0) {
-          const pauseTime = rand(3000, 10000);
-          console.log(`⏸️ Pausing ${pauseTime}ms between profiles...`);
-          await delay(pauseTime);
-        }
-
-        const result = await sendMessageToProfile(page, profile, message);
-        await logResult({ timestamp: new Date().toISOString(), ...result });
-        results.push(result);
-      } catch (err) {
-        const fail = {
-          success: false,
-          profileId: profile.id,
-          url: profile.url,
-          error: err.message,
-          timestamp: new Date().toISOString(),
-        };
-        await logResult(fail);
-        results.push(fail);
-        console.error(`❌ Profile ${profile.id} failed:`, err.message);
-      }
-    }
-  } catch (err) {
-    console.error("💥 Fatal error during processing:", err);
-    throw err;
-  } finally {
-    console.log("🔒 Closing browser...");
-    await browser.close();
+  if (argv._[0] === "suppress") {
+    return runSubcommand(suppressCommand, argv);
   }
 
-  return results;
-}
+  if (argv._[0] === "verify-audit") {
+    return runSubcommand(verifyAuditCommand, argv);
+  }
 
-/* ------------------------------- CLI / Run -------------------------------- */
+  if (argv._[0] === "report") {
+    return runSubcommand(reportCommand, argv);
+  }
 
-async function main() {
   console.log("🤖 Enhanced Facebook Messenger Automation Starting...\n");
 
-  const argv = minimist(process.argv.slice(2));
-  // const profilesPath = argv.profiles || argv.p || "profiles.json";
-  const profiles = require("./profiles.json");
-  const message = "Hello world! This is a test message.";
+  // Defaults live next to messenger.js, like every state file
+  const profilesPath = argv.profiles
+    ? path.resolve(argv.profiles)
+    : path.join(__dirname, "profiles.json");
 
-  console.log(profiles);
+  let message = argv.message;
+  if (argv["message-file"]) {
+    const messagePath = path.resolve(argv["message-file"]);
+    try {
+      message = (await fs.readFile(messagePath, "utf8")).trim();
+    } catch (err) {
+      console.error(`❌ Could not read the message from ${messagePath}: ${err.message}`);
+      process.exit(1);
+    }
+  }
 
   if (!message) {
     console.error(
       '❌ Usage: node messenger.js --message "Your message here" [--profiles profiles.json]'
     );
     console.error(
-      '   Example: node messenger.js --message "Hello! How are you?" --profiles profiles.json'
+      '   Example: node messenger.js --message-file message.txt --profiles profiles.json'
     );
     process.exit(1);
   }
 
+  // Validate the input before anything else happens (schemas/profiles.schema.json)
+  let profiles;
   try {
-    // const profiles = await fs.readJson(profilesPath);
-
-    // if (!Array.isArray(profiles) || profiles.length === 0) {
-    //   console.error(
-    //     "❌ Profiles file must contain an array of profile objects"
-    //   );
-    //   process.exit(1);
-    // }
-
-    // Validate environment variables
-    if (!process.env.LOGIN_EMAIL || !process.env.LOGIN_PASSWORD) {
-      console.error("❌ Missing required environment variables:");
-      console.error(
-        "   LOGIN_EMAIL and LOGIN_PASSWORD must be set in .env file"
-      );
-      process.exit(1);
-    }
+    profiles = await fs.readJson(profilesPath);
+  } catch (err) {
+    console.error(`❌ Could not read profiles from ${profilesPath}: ${err.message}`);
+    process.exit(1);
+  }
+  const profileErrors = validateProfiles(profiles);
+  if (profileErrors.length > 0) {
+    console.error(`❌ Invalid profiles in ${profilesPath}:`);
+    console.error(formatValidationReport(profileErrors));
+    process.exit(1);
+  }
 
-    console.log(`📧 Login email: ${process.env.LOGIN_EMAIL}`);
+  try {
+    const credentialSource = argv.credentials || "vault";
+
+    console.log(`🔑 Credentials from: ${credentialSource}`);
     console.log(`📝 Message: "${message}"`);
     console.log(`👥 Profiles to process: ${profiles.length}`);
     console.log(`🤖 Headless mode: ${process.env.HEADLESS === "true"}`);
-    console.log(`📁 Results will be saved to: ${OUTPUT_LOG}\n`);
+    console.log(`📁 Results will be saved to: ${OUTPUT_LOG}`);
+
+    // Outreach policy: refuse to go any further with a non-compliant message
+    const violations = lintMessage(
+      message,
+      resolvePolicy(await storage.readJson("messagePolicy", {}))
+    );
+    if (violations.length > 0) {
+      console.error("\n❌ Message violates the outreach policy:");
+      console.error(formatPolicyReport(violations));
+      console.error(`   Policy: defaults plus ${storage.stateFile("messagePolicy")} if present`);
+      process.exit(1);
+    }
+
+    const caps = resolveCaps({
+      maxPerRun: argv["max-per-run"],
+      maxPerDay: argv["max-per-day"],
+      maxPerRecipient: argv["max-per-recipient"],
+    });
+    const dryRun = argv["dry-run"];
+
+    // Preflight: show exactly what will happen and wait for confirmation
+    const plan = buildRunPlan({
+      profiles,
+      message,
+      caps,
+      consentLedger: await storage.readJson("consent", { records: {} }),
+      suppressionList: await storage.readJson("suppression", { entries: [] }),
+      dryRun,
+    });
+    printPlan(plan);
+
+    const confirmed = await confirmPlan(plan, { confirmHash: argv.confirm });
+    if (!confirmed) {
+      console.log("\n🛑 Run cancelled, nothing was sent.");
+      return;
+    }
+    console.log("");
+
+    const credentials = await createCredentialProvider(credentialSource, {
+      vaultFile: VAULT_FILE,
+    }).getCredentials();
+    console.log(`📧 Login email: ${credentials.email}`);
 
     const startTime = Date.now();
-    const results = await processAll(profiles, message);
+    const results = await processAll(profiles, message, {
+      caps,
+      dryRun,
+      credentials,
+      planHash: planHash(plan),
+      operator: argv.operator || process.env.AUDIT_OPERATOR || os.userInfo().username,
+    });
     const totalTime = Date.now() - startTime;
 
     // Summary
-    const successful = results.filter((r) => r.success).length;
-    const failed = results.filter((r) => !r.success).length;
+    const { successful, unconfirmed, failed, skipped, stop, halt } =
+      core.summarizeResults(results);
 
     console.log("\n" + "=".repeat(50));
     console.log("📊 FINAL RESULTS SUMMARY");
     console.log("=".repeat(50));
     console.log(`⏱️  Total time: ${Math.round(totalTime / 1000)}s`);
     console.log(`✅ Successful: ${successful}/${profiles.length}`);
+    console.log(`⚠️  Unconfirmed: ${unconfirmed}/${profiles.length}`);
+    console.log(`⛔ Skipped: ${skipped}/${profiles.length}`);
     console.log(`❌ Failed: ${failed}/${profiles.length}`);
     console.log(`📁 Detailed logs: ${OUTPUT_LOG}`);
 
+    if (stop) {
+      console.log(
+        `\n🛑 Run stopped early: ${stop.reason} (${stop.remaining} profile(s) not processed)`
+      );
+    }
+
+    if (halt) {
+      console.log(`\n🚨 Run HALTED: ${halt.reason}`);
+      console.log(`   Page: ${halt.pageUrl}`);
+      if (halt.screenshot) console.log(`   Screenshot: ${halt.screenshot}`);
+    }
+
+    if (skipped > 0) {
+      console.log("\n⛔ Skipped profiles:");
+      results
+        .filter((r) => r.skipped)
+        .forEach((r) => {
+          console.log(`   • ${r.profileId}: ${r.skipped}`);
+        });
+    }
+
+    if (unconfirmed > 0) {
+      console.log("\n⚠️  Unconfirmed sends (check these conversations by hand):");
+      results
+        .filter((r) => r.delivery === "unconfirmed")
+        .forEach((r) => {
+          console.log(`   • ${r.profileId}`);
+        });
+    }
+
     if (failed > 0) {
       console.log("\n❌ Failed profiles:");
       results
-        .filter((r) => !r.success)
+        .filter(
+          (r) =>
+            !r.success &&
+            r.delivery !== "unconfirmed" &&
+            !r.skipped &&
+            !r.stopped &&
+            !r.halted
+        )
         .forEach((r) => {
-          console.log(`   • ${r.profileId}: ${r.error}`);
+          console.log(`   • ${r.profileId}: [${r.errorCode}] ${r.error} (during ${r.errorStep})`);
         });
     }
 
@@ -948,6 +652,11 @@ async function main() {
         });
     }
 
+    if (halt) {
+      console.log("\n🛑 Script halted, resolve the account issue by hand before running again.");
+      process.exit(2);
+    }
+
     console.log("\n🎉 Script completed!");
   } catch (err) {
     console.error("\n💥 Script failed:", err.message);
@@ -957,16 +666,15 @@ async function main() {
 
 // Export functions for reuse in other projects
 module.exports = {
-  launchBrowser,
-  humanType,
-  humanMove,
-  humanScroll,
-  humanClick,
-  solveCaptcha,
-  solveRecaptchaAudio,
-  isLoginRequired,
-  performFacebookLogin,
-  sendMessageToProfile,
+  launchBrowser: core.launchBrowser,
+  humanType: core.humanType,
+  humanMove: core.humanMove,
+  humanScroll: core.humanScroll,
+  humanClick: core.humanClick,
+  detectCheckpoint,
+  isLoginRequired: core.isLoginRequired,
+  performFacebookLogin: core.performFacebookLogin,
+  scanInbox: core.scanInbox,
   processAll,
   saveCookies,
   loadCookies,
@@ -974,5 +682,8 @@ module.exports = {
 
 // Run CLI if this file is executed directly
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch((err) => {
+    console.error("💥", err);
+    process.exit(1);
+  });
 }
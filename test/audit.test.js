@@ -0,0 +1,160 @@
+/**
+ * Tests for the hash-chained audit log in lib/audit.js, written through the
+ * filesystem storage adapter into a temporary directory.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+
+const {
+  canonicalJson,
+  createAuditLog,
+  deriveAuditKey,
+  verifyAuditLog,
+} = require("../lib/audit");
+const { createFileStorage } = require("../lib/storage/fs");
+
+const KEY = deriveAuditKey("fixture-passphrase");
+
+async function writeRun(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "audit-test-"));
+  t.after(() => fs.remove(dir));
+
+  const storage = createFileStorage(dir);
+  const audit = await createAuditLog(storage, "run-1", KEY);
+  await audit.append("run-start", { operator: "tester", recipients: 2 });
+  await audit.append("attempt", { profileId: "p1", consent: { method: "form" } });
+  await audit.append("skip", { profileId: "p2", skipped: "no-consent" });
+  await audit.append("run-end", { attempted: 1 });
+
+  return storage;
+}
+
+async function verify(storage, key = KEY) {
+  return verifyAuditLog(
+    await storage.readAudit(),
+    await storage.readJson("auditHead", null),
+    key
+  );
+}
+
+async function rewrite(storage, edit) {
+  const lines = (await fs.readFile(storage.paths.audit, "utf8")).trim().split("\n");
+  await fs.writeFile(storage.paths.audit, edit(lines).join("\n") + "\n");
+}
+
+test("an untouched audit log verifies", async (t) => {
+  const storage = await writeRun(t);
+  const result = await verify(storage);
+
+  assert.equal(result.ok, true, JSON.stringify(result.problems));
+  assert.equal(result.entries, 4);
+});
+
+test("a new run continues the existing chain", async (t) => {
+  const storage = await writeRun(t);
+  const audit = await createAuditLog(storage, "run-2", KEY);
+  const entry = await audit.append("run-start", { operator: "tester" });
+
+  assert.equal(entry.seq, 5);
+  assert.equal((await verify(storage)).ok, true);
+});
+
+test("editing an entry is detected", async (t) => {
+  const storage = await writeRun(t);
+  await rewrite(storage, (lines) => {
+    lines[1] = lines[1].replace('"form"', '"verbal"');
+    return lines;
+  });
+
+  const result = await verify(storage);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems.map((p) => p.seq), [2]);
+});
+
+test("removing an entry is detected", async (t) => {
+  const storage = await writeRun(t);
+  await rewrite(storage, (lines) => lines.filter((_, i) => i !== 2));
+
+  const result = await verify(storage);
+  assert.equal(result.ok, false);
+  assert.match(result.problems[0].problem, /removed/);
+});
+
+test("truncating the end of the log is detected", async (t) => {
+  const storage = await writeRun(t);
+  await rewrite(storage, (lines) => lines.slice(0, 2));
+
+  const result = await verify(storage);
+  assert.equal(result.ok, false);
+  assert.match(result.problems[0].problem, /truncated/);
+});
+
+test("a log re-hashed without the passphrase is detected", async (t) => {
+  const storage = await writeRun(t);
+
+  // Edit an entry and rebuild the whole chain, and the head, with plain sha256
+  let prevHash = "0".repeat(64);
+  await rewrite(storage, (lines) =>
+    lines.map((line) => {
+      const { hash, ...entry } = JSON.parse(line.replace('"form"', '"verbal"'));
+      entry.prevHash = prevHash;
+      prevHash = crypto.createHash("sha256").update(canonicalJson(entry)).digest("hex");
+      return JSON.stringify({ ...entry, hash: prevHash });
+    })
+  );
+  await storage.writeJson("auditHead", { seq: 4, hash: prevHash });
+
+  const result = await verify(storage);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems.map((p) => p.seq), [1, 2, 3, 4]);
+  // Nor does the original log verify under another passphrase
+  assert.equal((await verify(await writeRun(t), deriveAuditKey("guess"))).ok, false);
+});
+
+test("a missing log never verifies as intact", () => {
+  const result = verifyAuditLog([], null, KEY);
+
+  assert.equal(result.ok, false);
+  assert.match(result.problems[0].problem, /empty or missing/);
+});
+
+test("a run whose browser never starts still gets its run-end entry", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "audit-test-"));
+  t.after(() => fs.remove(dir));
+  // puppeteer reads this when it loads, so core is only required here
+  process.env.PUPPETEER_EXECUTABLE_PATH = path.join(dir, "no-such-chrome");
+  const { runCampaign } = require("../lib/core");
+  const { resolveCaps } = require("../lib/caps");
+  const { buildRunPlan, planHash } = require("../lib/preflight");
+
+  const storage = createFileStorage(dir);
+  const profiles = [{ id: "p1", url: "https://www.facebook.com/p1" }];
+  const message = "Hello!\nThis is Ada from Acme.\nReply STOP to opt out.";
+  const plan = buildRunPlan({
+    profiles,
+    message,
+    caps: resolveCaps(),
+    consentLedger: { records: {} },
+    suppressionList: { entries: [] },
+  });
+
+  await assert.rejects(
+    runCampaign(profiles, message, {
+      storage,
+      credentials: { email: "a@example.com", password: "pw", passphrase: "fixture-passphrase" },
+      planHash: planHash(plan),
+    })
+  );
+
+  const entries = await storage.readAudit();
+  assert.deepEqual(entries.map((e) => e.type), ["run-start", "run-end"]);
+  assert.match(entries[1].error, /no-such-chrome/);
+  assert.equal((await verify(storage)).ok, true);
+});
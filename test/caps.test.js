@@ -0,0 +1,66 @@
+/**
+ * Tests for the send caps in lib/caps.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_CAPS, resolveCaps, checkCaps, recordSend } = require("../lib/caps");
+
+const NOW = new Date("2026-03-01T12:00:00.000Z");
+const HOUR_MS = 60 * 60 * 1000;
+const ALICE = { id: "alice", url: "https://www.facebook.com/alice" };
+const BOB = { id: "bob", url: "https://www.facebook.com/bob" };
+
+function sentAgo(hours, profile = BOB) {
+  return { at: new Date(NOW.getTime() - hours * HOUR_MS).toISOString(), profileId: profile.id, url: profile.url };
+}
+
+function check(sends, caps, sentThisRun = 0, profile = ALICE) {
+  return checkCaps({ sends }, resolveCaps(caps), { profile, sentThisRun, now: NOW });
+}
+
+test("caps default to the conservative limits and reject bad overrides", () => {
+  assert.deepEqual(resolveCaps(), DEFAULT_CAPS);
+  assert.equal(resolveCaps({ maxPerRun: "3", maxPerDay: "" }).maxPerRun, 3);
+  assert.equal(resolveCaps({ maxPerDay: "" }).maxPerDay, DEFAULT_CAPS.maxPerDay);
+  assert.throws(() => resolveCaps({ maxPerRun: -1 }), /maxPerRun must be a non-negative integer/);
+  assert.throws(() => resolveCaps({ maxPerDay: "2.5" }), /maxPerDay/);
+});
+
+test("the per-run cap counts this run's sends only", () => {
+  assert.equal(check([], { maxPerRun: 2 }, 1).allowed, true);
+  assert.equal(check([], { maxPerRun: 2 }, 2).scope, "run");
+});
+
+test("the 24h cap is a rolling window over every recorded send", () => {
+  const caps = { maxPerDay: 2, maxPerRecipient: 5 };
+
+  assert.equal(check([sentAgo(23), sentAgo(1)], caps).scope, "day");
+  // A send just over 24h ago has rolled out of the window
+  assert.equal(check([sentAgo(24.1), sentAgo(1)], caps).allowed, true);
+});
+
+test("the per-recipient cap matches by id or URL within its window", () => {
+  const caps = { maxPerRecipient: 1, recipientWindowDays: 30 };
+
+  assert.equal(check([sentAgo(48)], caps).allowed, true);
+  assert.equal(check([sentAgo(48, ALICE)], caps).scope, "recipient");
+  assert.equal(
+    check([sentAgo(48, { id: "other-label", url: "https://m.facebook.com/Alice/" })], caps).scope,
+    "recipient"
+  );
+  assert.equal(check([sentAgo(31 * 24, ALICE)], caps).allowed, true);
+});
+
+test("recordSend appends the send and drops what no window needs any more", () => {
+  const counters = { sends: [sentAgo(31 * 24), sentAgo(2)] };
+  recordSend(counters, ALICE, resolveCaps(), NOW);
+
+  assert.deepEqual(counters.sends, [
+    sentAgo(2),
+    { at: NOW.toISOString(), profileId: "alice", url: ALICE.url },
+  ]);
+});
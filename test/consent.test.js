@@ -0,0 +1,95 @@
+/**
+ * Tests for the consent ledger in lib/consent.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_CONSENT_TTL_DAYS,
+  checkConsent,
+  recordConsent,
+  revokeConsent,
+} = require("../lib/consent");
+
+const NOW = new Date("2026-03-01T12:00:00.000Z");
+const PROFILE = { id: "profile-001", url: "https://www.facebook.com/alice" };
+
+function ledgerWith(record) {
+  return { records: { "id:profile-001": { profileId: "profile-001", ...record } } };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * DAY_MS).toISOString();
+}
+
+test("recorded consent is valid until it expires", () => {
+  const ledger = { records: {} };
+  recordConsent(ledger, { profileId: PROFILE.id, url: PROFILE.url, method: "signup-form", grantedAt: daysAgo(10) });
+
+  assert.equal(checkConsent(ledger, PROFILE, NOW).valid, true);
+  assert.equal(checkConsent(ledger, { id: "someone-else" }, NOW).reason, "no-record");
+});
+
+test("consent expires at expiresAt, or after the default TTL without one", () => {
+  const explicit = ledgerWith({ grantedAt: daysAgo(10), method: "form", expiresAt: daysAgo(1) });
+  const withinTtl = ledgerWith({ grantedAt: daysAgo(DEFAULT_CONSENT_TTL_DAYS - 1), method: "form" });
+  const pastTtl = ledgerWith({ grantedAt: daysAgo(DEFAULT_CONSENT_TTL_DAYS + 1), method: "form" });
+  const future = ledgerWith({ grantedAt: daysAgo(-1), method: "form" });
+
+  assert.equal(checkConsent(explicit, PROFILE, NOW).reason, "expired");
+  assert.equal(checkConsent(withinTtl, PROFILE, NOW).valid, true);
+  assert.equal(checkConsent(pastTtl, PROFILE, NOW).reason, "expired");
+  assert.equal(checkConsent(future, PROFILE, NOW).reason, "not-yet-granted");
+  assert.equal(checkConsent(ledgerWith({ grantedAt: daysAgo(1) }), PROFILE, NOW).reason, "incomplete");
+});
+
+test("revoked consent is never valid", () => {
+  const ledger = ledgerWith({ grantedAt: daysAgo(10), method: "form" });
+
+  assert.equal(revokeConsent(ledger, { id: "nobody" }, NOW), null);
+  assert.equal(revokeConsent(ledger, PROFILE, NOW).revokedAt, NOW.toISOString());
+  assert.equal(checkConsent(ledger, PROFILE, NOW).reason, "revoked");
+});
+
+test("dates that don't parse are rejected when recording consent", () => {
+  assert.throws(
+    () => recordConsent({ records: {} }, { profileId: "a", method: "form", expiresAt: "31/12/2025" }),
+    /expiresAt "31\/12\/2025" is not a valid date/
+  );
+  assert.throws(
+    () => recordConsent({ records: {} }, { profileId: "a", method: "form", grantedAt: "yesterday" }),
+    /grantedAt "yesterday" is not a valid date/
+  );
+});
+
+test("a ledger record with an unparseable date is never valid", () => {
+  const badExpiry = ledgerWith({ grantedAt: "2026-01-01", method: "form", expiresAt: "31/12/2025" });
+  const badGrant = ledgerWith({ grantedAt: "yesterday", method: "form" });
+
+  assert.deepEqual(
+    [checkConsent(badExpiry, PROFILE, NOW).valid, checkConsent(badExpiry, PROFILE, NOW).reason],
+    [false, "incomplete"]
+  );
+  assert.equal(checkConsent(badGrant, PROFILE, NOW).reason, "incomplete");
+});
+
+test("an id match doesn't carry consent over to a different profile URL", () => {
+  const ledger = ledgerWith({
+    url: "https://www.facebook.com/alice",
+    grantedAt: "2026-01-01T00:00:00.000Z",
+    method: "signup-form",
+  });
+
+  assert.equal(checkConsent(ledger, PROFILE, NOW).valid, true);
+  assert.equal(checkConsent(ledger, { id: "profile-001", url: "https://m.facebook.com/Alice/" }, NOW).valid, true);
+  assert.equal(checkConsent(ledger, { id: "profile-001" }, NOW).valid, true);
+  assert.deepEqual(
+    checkConsent(ledger, { id: "profile-001", url: "https://www.facebook.com/bob" }, NOW),
+    { valid: false, reason: "no-record", record: null }
+  );
+});
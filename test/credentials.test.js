@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const fs = require("fs-extra");
+
+const {
+  sealJson,
+  openJson,
+  saveVault,
+  createCredentialProvider,
+} = require("../lib/credentials");
+
+test("sealed JSON round-trips and hides the plaintext", () => {
+  const cookies = [{ name: "c_user", value: "12345" }];
+  const sealed = sealJson(cookies, "s3cret");
+
+  assert.doesNotMatch(JSON.stringify(sealed), /c_user|12345/);
+  assert.deepEqual(openJson(sealed, "s3cret"), cookies);
+});
+
+test("opening with the wrong passphrase or tampered data fails", () => {
+  const sealed = sealJson({ a: 1 }, "s3cret");
+  assert.throws(() => openJson(sealed, "wrong"), /Wrong passphrase/);
+
+  const tampered = { ...sealed, data: Buffer.from("xx").toString("base64") };
+  assert.throws(() => openJson(tampered, "s3cret"), /Wrong passphrase/);
+});
+
+test("vault provider decrypts credentials with VAULT_PASSPHRASE", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "automessage-"));
+  t.after(() => fs.remove(dir));
+  const vaultFile = path.join(dir, "credentials.vault");
+
+  await saveVault(vaultFile, { email: "a@example.com", password: "pw" }, "phrase");
+  assert.doesNotMatch(await fs.readFile(vaultFile, "utf8"), /a@example\.com|"pw"/);
+
+  process.env.VAULT_PASSPHRASE = "phrase";
+  t.after(() => delete process.env.VAULT_PASSPHRASE);
+
+  const credentials = await createCredentialProvider("vault", { vaultFile }).getCredentials();
+  assert.deepEqual(credentials, {
+    email: "a@example.com",
+    password: "pw",
+    passphrase: "phrase",
+  });
+});
+
+test("stdin provider reads one answer per line", async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  input.end("a@example.com\npw\nphrase\n");
+
+  const credentials = await createCredentialProvider("stdin", { input, output }).getCredentials();
+  assert.deepEqual(credentials, {
+    email: "a@example.com",
+    password: "pw",
+    passphrase: "phrase",
+  });
+});
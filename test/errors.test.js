@@ -0,0 +1,55 @@
+/**
+ * Tests for the error codes in lib/errors.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ERROR_CODES, AutomationError, classifyError } = require("../lib/errors");
+const { HaltError } = require("../lib/checkpoint");
+
+test("automation errors keep their code, message and step", () => {
+  const err = new AutomationError("NAV_TIMEOUT", "Navigation timeout of 45000 ms exceeded", {
+    step: "navigate",
+  });
+
+  assert.deepEqual(classifyError(err, "ignored"), {
+    errorCode: "NAV_TIMEOUT",
+    error: "Navigation timeout of 45000 ms exceeded",
+    errorStep: "navigate",
+  });
+});
+
+test("halts map to HALTED_* codes", () => {
+  const err = new HaltError("rate-limit", "Facebook showed a rate-limit page during sending", {
+    step: "sending",
+  });
+
+  assert.deepEqual(classifyError(err), {
+    errorCode: "HALTED_RATE_LIMIT",
+    error: "Facebook showed a rate-limit page during sending",
+    errorStep: "sending",
+  });
+});
+
+test("browser and timeout errors are recognised, the rest is UNKNOWN", () => {
+  const timeout = new Error("Waiting for selector `#email` failed: 10000ms exceeded");
+  timeout.name = "TimeoutError";
+
+  assert.equal(classifyError(new Error("Navigating frame was detached"), "type").errorCode, "BROWSER_ERROR");
+  assert.equal(classifyError(timeout, "login").errorCode, "TIMEOUT");
+  assert.deepEqual(classifyError(new Error("Something odd"), "send"), {
+    errorCode: "UNKNOWN",
+    error: "Something odd",
+    errorStep: "send",
+  });
+});
+
+test("every code produced for a halt kind is a known code", () => {
+  for (const kind of ["captcha", "checkpoint", "blocked", "rate-limit"]) {
+    const { errorCode } = classifyError(new HaltError(kind, "halt"));
+    assert.ok(ERROR_CODES.includes(errorCode), errorCode);
+  }
+});
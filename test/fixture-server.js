@@ -0,0 +1,178 @@
+/**
+ * fixture-server.js
+ *
+ * Local stand-in for the parts of Facebook the automation touches: a login
+ * form, profile pages (with and without a Message button or chat composer)
+ * and a checkpoint page. Serves static files from test/fixtures, no network.
+ *
+ * Routes:
+ *   GET  /login                  login form
+ *   POST /login                  sets the session cookie on valid credentials
+ *   GET  /                       home page
+ *   GET  /profiles/ok            profile with Message button and composer
+ *   GET  /profiles/no-button     profile without a Message button
+ *   GET  /profiles/no-input      Message button that opens no composer
+ *   GET  /profiles/private       like /profiles/ok, but requires login
+ *   GET  /profiles/send-dropped  sending clears the composer, no bubble appears
+ *   GET  /profiles/send-failed   the sent bubble is marked "Failed to send"
+ *   GET  /profiles/send-blocked  sends, then shows a temporary block notice
+ *   GET  /profiles/replied-stop  thread where the recipient asked to stop
+ *   GET  /profiles/replied-ok    thread with an ordinary reply
+ *   GET  /profiles/old-campaign  our bubble from an earlier campaign
+ *                                ("Reply STOP ..."), then a reply quoting it
+ *   GET  /profiles/unlabelled    thread whose rows have no sender heading
+ *   GET  /profiles/checkpoint    "Security check" page
+ */
+
+const http = require("http");
+const path = require("path");
+const fs = require("fs-extra");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const SESSION_COOKIE = "c_user=fixture";
+
+const FIXTURE_CREDENTIALS = {
+  email: "tester@example.com",
+  password: "correct-horse",
+};
+
+async function fixture(name) {
+  return fs.readFile(path.join(FIXTURES, name), "utf8");
+}
+
+async function profilePage(name) {
+  switch (name) {
+    case "ok":
+    case "private":
+      return fixture("profile.html");
+    case "no-button":
+      return fixture("profile-no-button.html");
+    case "no-input":
+      return (await fixture("profile.html")).replace(
+        /<!--COMPOSER-->[\s\S]*<!--\/COMPOSER-->/,
+        ""
+      );
+    case "send-dropped":
+      return (await fixture("profile.html")).replace("<body>", '<body data-send="drop">');
+    case "send-failed":
+      return (await fixture("profile.html")).replace("<body>", '<body data-send="fail">');
+    case "send-blocked":
+      return (await fixture("profile.html")).replace("<body>", '<body data-send="block">');
+    case "replied-stop":
+      return withThread(await fixture("profile.html"), "Por favor, no me escribas más.");
+    case "replied-ok":
+      return withThread(await fixture("profile.html"), "Thanks, sounds good!");
+    case "old-campaign":
+      return withThread(await fixture("profile.html"), "Thanks, sounds good!", [
+        ["outgoing", "Spring meetup is on! This is Ada from Acme. Reply STOP to opt out."],
+        ["incoming", "Sure, see you there. Reply STOP to opt out, you said?"],
+      ]);
+    case "unlabelled":
+      return withThread(await fixture("profile.html"), "STOP", [], { labelled: false });
+    case "checkpoint":
+      return fixture("checkpoint.html");
+    default:
+      return null;
+  }
+}
+
+// Prefilled conversation: any earlier rows, our message, then the recipient's
+// reply. Rows carry Messenger's hidden sender heading ("You sent" or the
+// contact's name) unless `labelled` is false.
+function withThread(page, reply, earlier = [], { labelled = true } = {}) {
+  const senders = { outgoing: "You sent", incoming: "Test Person" };
+  const rows = [
+    ...earlier,
+    ["outgoing", "Hi, this is the fixture sender. Reply STOP to opt out."],
+    ["incoming", reply],
+  ]
+    .map(([direction, text]) => {
+      const heading = labelled ? `<h5 class="sr-only">${senders[direction]}</h5>` : "";
+      return `<div role="row">${heading}<div dir="auto">${text}</div></div>`;
+    })
+    .join("");
+  return page.replace('<div role="log" id="thread"></div>', `<div role="log" id="thread">${rows}</div>`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, html, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+  res.end(html);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const loggedIn = (req.headers.cookie || "").includes(SESSION_COOKIE);
+
+  if (url.pathname === "/login" && req.method === "POST") {
+    const form = await readBody(req);
+    const valid =
+      form.get("email") === FIXTURE_CREDENTIALS.email &&
+      form.get("pass") === FIXTURE_CREDENTIALS.password;
+
+    if (!valid) {
+      const page = (await fixture("login.html")).replace(
+        "<!--ERROR-->",
+        '<div role="alert">The password that you\'ve entered is incorrect.</div>'
+      );
+      return send(res, 200, page);
+    }
+
+    return redirect(res, form.get("next") || "/", {
+      "Set-Cookie": `${SESSION_COOKIE}; Path=/; HttpOnly`,
+    });
+  }
+
+  if (url.pathname === "/login") {
+    return send(res, 200, await fixture("login.html"));
+  }
+
+  if (url.pathname === "/") {
+    return send(res, 200, await fixture("home.html"));
+  }
+
+  const match = url.pathname.match(/^\/profiles\/([\w-]+)$/);
+  if (match) {
+    if (match[1] === "private" && !loggedIn) {
+      return redirect(res, `/login?next=${encodeURIComponent(url.pathname)}`);
+    }
+    const page = await profilePage(match[1]);
+    if (page) return send(res, 200, page);
+  }
+
+  send(res, 404, "<h1>This page isn't available</h1>");
+}
+
+function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, err.message));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  FIXTURE_CREDENTIALS,
+  startFixtureServer,
+};
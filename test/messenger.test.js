@@ -0,0 +1,346 @@
+/**
+ * Offline tests for the browser-facing helpers in messenger.js, run against
+ * the local fixture server instead of Facebook. Needs a Chrome that puppeteer
+ * can launch (set PUPPETEER_EXECUTABLE_PATH to use a system one). Without one
+ * the browser tests fail, unless SKIP_BROWSER_TESTS=1 asks to skip them.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+
+const { FIXTURE_CREDENTIALS, startFixtureServer } = require("./fixture-server");
+
+process.env.HEADLESS = "true";
+process.env.DELAY_SCALE = process.env.DELAY_SCALE || "0.02";
+
+const {
+  launchBrowser,
+  isLoginRequired,
+  performFacebookLogin,
+  scanInbox,
+} = require("../messenger");
+const core = require("../lib/core");
+const { createFileStorage } = require("../lib/storage/fs");
+const { HaltError } = require("../lib/checkpoint");
+
+// Same state directory as the CLI, so cookies land in COOKIE_FILE
+const storage = createFileStorage(path.join(__dirname, ".."));
+const MESSAGE = "Hello from the fixture suite";
+const CREDENTIALS = { ...FIXTURE_CREDENTIALS, passphrase: "fixture-passphrase" };
+const COOKIE_FILE = path.join(
+  __dirname,
+  "..",
+  "cookies",
+  `${crypto
+    .createHash("sha256")
+    .update(FIXTURE_CREDENTIALS.email)
+    .digest("hex")
+    .slice(0, 16)}.enc.json`
+);
+
+let server;
+let browser;
+let launchError;
+
+test.before(async () => {
+  server = await startFixtureServer();
+  try {
+    browser = await launchBrowser({ slowMo: 0 });
+  } catch (err) {
+    launchError = err;
+  }
+});
+
+test.after(async () => {
+  if (browser) await browser.close();
+  await server.close();
+  await fs.remove(COOKIE_FILE);
+});
+
+// Each test gets a fresh context so session cookies don't leak between them
+async function withPage(t, fn) {
+  if (!browser) {
+    const reason = `Chrome could not be launched: ${launchError.message.split("\n")[0]}`;
+    if (process.env.SKIP_BROWSER_TESTS !== "1") {
+      throw new Error(`${reason} (set SKIP_BROWSER_TESTS=1 to skip the browser tests)`);
+    }
+    t.skip(reason);
+    return;
+  }
+  const context = await browser.createBrowserContext();
+  try {
+    await fn(await context.newPage());
+  } finally {
+    await context.close();
+  }
+}
+
+function profile(name) {
+  return { id: `fixture-${name}`, url: `${server.url}/profiles/${name}` };
+}
+
+// The raw send, without the campaign's consent, suppression, caps and
+// policy checks; messenger.js only exposes it through processAll
+function sendMessageToProfile(page, target, message, options = {}) {
+  return core.sendMessageToProfile(page, target, message, { storage, ...options });
+}
+
+async function threadMessages(page) {
+  return page.$$eval('#thread [role="row"] [dir="auto"]', (bubbles) =>
+    bubbles.map((bubble) => bubble.innerText.trim())
+  );
+}
+
+/* ----------------------------- Login handling ----------------------------- */
+
+test("isLoginRequired detects the login page", async (t) => {
+  await withPage(t, async (page) => {
+    await page.goto(`${server.url}/login`);
+    assert.equal(await isLoginRequired(page), true);
+
+    await page.goto(`${server.url}/profiles/ok`);
+    assert.equal(await isLoginRequired(page), false);
+  });
+});
+
+test("performFacebookLogin signs in with valid credentials", async (t) => {
+  await withPage(t, async (page) => {
+    await page.goto(`${server.url}/login`);
+    const ok = await performFacebookLogin(
+      page,
+      FIXTURE_CREDENTIALS.email,
+      FIXTURE_CREDENTIALS.password
+    );
+    assert.equal(ok, true);
+    assert.equal(await isLoginRequired(page), false);
+  });
+});
+
+test("performFacebookLogin reports the login error", async (t) => {
+  await withPage(t, async (page) => {
+    await page.goto(`${server.url}/login`);
+    await assert.rejects(
+      performFacebookLogin(page, FIXTURE_CREDENTIALS.email, "wrong-password"),
+      (err) =>
+        err.code === "LOGIN_FAILED" &&
+        /Login failed: The password that you've entered is incorrect/.test(err.message)
+    );
+  });
+});
+
+/* ---------------------------- Sending messages ---------------------------- */
+
+test("sendMessageToProfile sends through the chat composer", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("ok"), MESSAGE);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.messageButtonPresent, "Yes");
+    assert.equal(result.messageSent, "Yes");
+    assert.equal(result.delivery, "confirmed");
+    assert.deepEqual(await threadMessages(page), [MESSAGE]);
+  });
+});
+
+test("sendMessageToProfile keeps line breaks inside one message", async (t) => {
+  await withPage(t, async (page) => {
+    const message = `${MESSAGE}\n— Fixture sender\nReply STOP to opt out.`;
+    const result = await sendMessageToProfile(page, profile("ok"), message);
+
+    assert.equal(result.delivery, "confirmed");
+    assert.deepEqual(await threadMessages(page), [message]);
+  });
+});
+
+test("sendMessageToProfile reports a send that never shows up as unconfirmed", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("send-dropped"), MESSAGE);
+
+    assert.equal(result.success, false);
+    assert.equal(result.messageSent, "Yes");
+    assert.equal(result.delivery, "unconfirmed");
+    assert.equal(result.errorCode, "SEND_UNCONFIRMED");
+    assert.equal(result.errorStep, "verify");
+  });
+});
+
+test("sendMessageToProfile reports a bubble marked not sent as failed", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("send-failed"), MESSAGE);
+
+    assert.equal(result.success, false);
+    assert.equal(result.messageSent, "Yes");
+    assert.equal(result.delivery, "failed");
+    assert.equal(result.errorCode, "SEND_FAILED");
+    assert.match(result.error, /did not send/);
+  });
+});
+
+test("sendMessageToProfile fails when there is no Message button", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("no-button"), MESSAGE);
+
+    assert.equal(result.success, false);
+    assert.equal(result.messageButtonPresent, "No");
+    assert.equal(result.messageSent, "No");
+    assert.equal(result.errorCode, "NO_MESSAGE_BUTTON");
+    assert.equal(result.errorStep, "open-chat");
+  });
+});
+
+test("sendMessageToProfile fails when the composer never opens", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("no-input"), MESSAGE);
+
+    assert.equal(result.success, false);
+    assert.equal(result.messageButtonPresent, "Yes");
+    assert.equal(result.messageSent, "No");
+    assert.equal(result.delivery, "failed");
+    assert.equal(result.errorCode, "NO_INPUT");
+    assert.match(result.error, /Message input field not found/);
+  });
+});
+
+test("sendMessageToProfile logs in when the profile requires it", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("private"), MESSAGE, {
+      credentials: CREDENTIALS,
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(await threadMessages(page), [MESSAGE]);
+
+    // The saved session is encrypted at rest
+    const saved = await fs.readJson(COOKIE_FILE);
+    assert.equal(saved.cipher, "aes-256-gcm");
+    assert.doesNotMatch(JSON.stringify(saved), /c_user/);
+  });
+});
+
+test("sendMessageToProfile reports LOGIN_REQUIRED without credentials", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("private"), MESSAGE);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, "LOGIN_REQUIRED");
+    assert.equal(result.errorStep, "login");
+  });
+});
+
+test("sendMessageToProfile halts on a checkpoint page", async (t) => {
+  await withPage(t, async (page) => {
+    await assert.rejects(
+      sendMessageToProfile(page, profile("checkpoint"), MESSAGE),
+      (err) =>
+        err instanceof HaltError &&
+        err.kind === "checkpoint" &&
+        err.step === "profile navigation"
+    );
+  });
+});
+
+test("sendMessageToProfile hands a message sent before a halt over with it", async (t) => {
+  await withPage(t, async (page) => {
+    await assert.rejects(
+      sendMessageToProfile(page, profile("send-blocked"), MESSAGE),
+      (err) =>
+        err instanceof HaltError &&
+        err.kind === "blocked" &&
+        err.step === "sending" &&
+        err.attempt.messageSent === "Yes" &&
+        err.attempt.delivery === "confirmed" &&
+        err.attempt.profileId === "fixture-send-blocked"
+    );
+  });
+});
+
+test("sendMessageToProfile dry run never types or sends", async (t) => {
+  await withPage(t, async (page) => {
+    const result = await sendMessageToProfile(page, profile("ok"), MESSAGE, {
+      dryRun: true,
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.dryRun, true);
+    assert.equal(result.inputFound, "Yes");
+    assert.equal(result.messageSent, "No");
+    assert.ok(result.sendSelectorMatched);
+    assert.equal(result.delivery, undefined);
+    assert.deepEqual(await threadMessages(page), []);
+    assert.equal(await page.$eval("#composer", (el) => el.innerText), "");
+  });
+});
+
+/* ---------------------------- Opt-out replies ----------------------------- */
+
+test("scanInbox suppresses recipients who replied with an opt-out phrase", async (t) => {
+  await withPage(t, async (page) => {
+    const at = new Date().toISOString();
+    const sendCounters = {
+      sends: ["no-button", "replied-ok", "old-campaign", "replied-stop"].map((name) => ({
+        at,
+        profileId: profile(name).id,
+        url: profile(name).url,
+      })),
+    };
+    const suppressionList = { entries: [] };
+
+    const added = await scanInbox(page, {
+      sendCounters,
+      suppressionList,
+      message: "Hi, this is the fixture sender. Reply STOP to opt out.",
+    });
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].profileId, "fixture-replied-stop");
+    assert.equal(added[0].source, "inbox-scan");
+    assert.equal(added[0].language, "es");
+    assert.match(added[0].evidence, /no me escribas/);
+    assert.deepEqual(suppressionList.entries.map((e) => e.profileId), [
+      "fixture-replied-stop",
+    ]);
+    // Read-only: nothing was typed into the last conversation opened
+    assert.equal(await page.$eval("#composer", (el) => el.innerText), "");
+  });
+});
+
+test("scanInbox stops when a thread doesn't say who sent its messages", async (t) => {
+  await withPage(t, async (page) => {
+    const { id, url } = profile("unlabelled");
+    const sendCounters = { sends: [{ at: new Date().toISOString(), profileId: id, url }] };
+
+    await assert.rejects(
+      scanInbox(page, { sendCounters, suppressionList: { entries: [] } }),
+      { code: "INBOX_UNREADABLE" }
+    );
+  });
+});
+
+test("scanInbox hands over each opt-out before a later halt", async (t) => {
+  await withPage(t, async (page) => {
+    const at = new Date().toISOString();
+    const sendCounters = {
+      sends: ["replied-stop", "checkpoint"].map((name) => ({
+        at,
+        profileId: profile(name).id,
+        url: profile(name).url,
+      })),
+    };
+    const saved = [];
+
+    await assert.rejects(
+      scanInbox(page, {
+        sendCounters,
+        suppressionList: { entries: [] },
+        onOptOut: async (entry) => saved.push(entry.profileId),
+      }),
+      HaltError
+    );
+    assert.deepEqual(saved, ["fixture-replied-stop"]);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the opt-out phrase matching in lib/optout.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveOptOutPhrases, matchOptOut } = require("../lib/optout");
+const { DEFAULT_POLICY } = require("../lib/policy");
+
+test("built-in phrases match opt-outs in several languages", () => {
+  const phrases = resolveOptOutPhrases();
+
+  assert.equal(matchOptOut("STOP", phrases).phrase, "stop");
+  assert.equal(matchOptOut("Please don’t message me again", phrases).language, "en");
+  assert.equal(matchOptOut("NO MÁS MENSAJES", phrases).language, "es");
+  assert.equal(matchOptOut("Ich will mich abmelden.", phrases).language, "de");
+  assert.equal(matchOptOut("Thanks, sounds good!", phrases), null);
+  // Whole words only
+  assert.equal(matchOptOut("Nonstop deals all week", phrases), null);
+});
+
+test("configured phrases replace the built-in ones per language", () => {
+  const phrases = resolveOptOutPhrases({
+    languages: { en: ["leave me alone"], nl: ["afmelden"] },
+  });
+
+  assert.equal(matchOptOut("stop", phrases), null);
+  assert.equal(matchOptOut("Just leave me alone", phrases).phrase, "leave me alone");
+  assert.equal(matchOptOut("Graag afmelden", phrases).language, "nl");
+  assert.equal(matchOptOut("no me escribas", phrases).language, "es");
+  assert.throws(() => resolveOptOutPhrases({ languages: { en: "stop" } }));
+});
+
+test("the evidence excerpt is trimmed", () => {
+  const match = matchOptOut(`stop ${"x".repeat(500)}`, resolveOptOutPhrases());
+
+  assert.ok(match.excerpt.length <= 203);
+  assert.ok(match.excerpt.startsWith("stop x"));
+});
+
+test("quoting the message's own opt-out instruction is not an opt-out", () => {
+  const phrases = resolveOptOutPhrases();
+  const options = {
+    instructionPatterns: DEFAULT_POLICY.optOutPatterns,
+    message: "Hi!\nThis is Ada from Acme.\nOpt out any time: just tell us.",
+  };
+
+  assert.equal(matchOptOut("Hi! This is Ada from Acme. Reply STOP to opt out.", phrases, options), null);
+  assert.equal(matchOptOut("ok thanks. Reply “stop” to opt-out?", phrases, options), null);
+  assert.equal(matchOptOut("You wrote: opt out any time: just tell us!", phrases, options), null);
+
+  const match = matchOptOut("Reply STOP to opt out... ok: no me escribas", phrases, options);
+  assert.equal(match.language, "es");
+  assert.equal(match.excerpt, "Reply STOP to opt out... ok: no me escribas");
+});
+
+test("bare opt-out keywords still match with the policy's patterns passed in", () => {
+  const phrases = resolveOptOutPhrases();
+  const options = {
+    instructionPatterns: DEFAULT_POLICY.optOutPatterns,
+    message: "Hi!\nThis is Ada from Acme.\nReply STOP to opt out.",
+  };
+
+  assert.equal(matchOptOut("Unsubscribe", phrases, options).phrase, "unsubscribe");
+  assert.equal(matchOptOut("please unsubscribe me", phrases, options).phrase, "unsubscribe");
+  assert.equal(matchOptOut("opt out", phrases, options).phrase, "opt out");
+  assert.equal(matchOptOut("I want to opt-out", phrases, options).phrase, "opt-out");
+  assert.equal(matchOptOut("STOP", phrases, options).phrase, "stop");
+});
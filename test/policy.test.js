@@ -0,0 +1,79 @@
+/**
+ * Tests for the outgoing message policy in lib/policy.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PolicyError,
+  resolvePolicy,
+  lintMessage,
+  assertMessagePolicy,
+} = require("../lib/policy");
+
+const COMPLIANT = [
+  "Hi! Thanks for signing up for updates at the meetup.",
+  "This is Ada from Acme Events.",
+  "Reply STOP to opt out.",
+].join("\n");
+
+function rules(violations) {
+  return violations.map((v) => v.rule);
+}
+
+test("a message with a sender line and opt-out instruction passes", () => {
+  assert.deepEqual(lintMessage(COMPLIANT), []);
+  assert.deepEqual(lintMessage("Hello!\n— Ada, Acme Events\nOpt out any time: reply STOP"), []);
+});
+
+test("sender line and opt-out instruction are required", () => {
+  assert.deepEqual(rules(lintMessage("Hello world! This is a test message.")), [
+    "sender-id",
+    "opt-out",
+  ]);
+  assert.deepEqual(rules(lintMessage("")), ["empty"]);
+  // A line that merely starts with "From" doesn't identify anyone
+  assert.deepEqual(
+    rules(lintMessage("From time to time we share deals.\nReply STOP to opt out.")),
+    ["sender-id"]
+  );
+  assert.deepEqual(lintMessage("Sent by: Acme Events\nReply STOP to opt out."), []);
+});
+
+test("long messages, URL shorteners and banned phrases are rejected", () => {
+  const violations = lintMessage(
+    `${COMPLIANT}\nGuaranteed results, see https://bit.ly/abc or tinyurl.com/xyz\n${"x".repeat(1000)}`
+  );
+
+  assert.deepEqual(rules(violations).sort(), [
+    "banned-phrase",
+    "max-length",
+    "url-shortener",
+    "url-shortener",
+  ]);
+  assert.deepEqual(lintMessage(`${COMPLIANT}\nDetails: https://acme.example/events`), []);
+});
+
+test("the policy can be tuned", () => {
+  const policy = resolvePolicy({ maxLength: 50, bannedPhrases: ["meetup"] });
+
+  assert.deepEqual(rules(lintMessage(COMPLIANT, policy)).sort(), [
+    "banned-phrase",
+    "max-length",
+  ]);
+  assert.throws(() => resolvePolicy({ maxLength: -1 }));
+});
+
+test("assertMessagePolicy throws a report of every violation", () => {
+  assert.throws(
+    () => assertMessagePolicy("Act now!", resolvePolicy()),
+    (err) =>
+      err instanceof PolicyError &&
+      err.violations.length === 3 &&
+      /\[sender-id\]/.test(err.message) &&
+      /\[banned-phrase\] Contains "act now"/.test(err.message)
+  );
+});
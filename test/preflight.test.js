@@ -0,0 +1,81 @@
+/**
+ * Tests for the run plan in lib/preflight.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildRunPlan, planHash, confirmPlan } = require("../lib/preflight");
+const { resolveCaps } = require("../lib/caps");
+
+const NOW = new Date();
+const MESSAGE = "Hi!\nThis is Ada from Acme Events.\nReply STOP to opt out.";
+
+function profile(name) {
+  return { id: name, url: `https://www.facebook.com/${name}` };
+}
+
+function consentFor(...names) {
+  const records = {};
+  for (const name of names) {
+    records[`id:${name}`] = {
+      profileId: name,
+      url: profile(name).url,
+      grantedAt: new Date(NOW.getTime() - 60 * 1000).toISOString(),
+      method: "signup-form",
+    };
+  }
+  return { records };
+}
+
+const PLAN_INPUT = {
+  profiles: ["alice", "bob", "carol", "dave"].map(profile),
+  message: MESSAGE,
+  caps: resolveCaps(),
+  consentLedger: consentFor("alice", "bob", "carol"),
+  suppressionList: { entries: [{ profileId: "carol" }] },
+};
+
+test("the plan leaves out suppressed profiles and those without consent", () => {
+  const plan = buildRunPlan({
+    ...PLAN_INPUT,
+    // Suppression is reported even when consent is missing too
+    suppressionList: { entries: [{ profileId: "carol" }, { profileId: "dave" }] },
+  });
+
+  assert.deepEqual(plan.recipients.map((r) => r.id), ["alice", "bob"]);
+  assert.deepEqual(plan.excluded.map((r) => [r.id, r.reason]), [
+    ["carol", "suppressed"],
+    ["dave", "suppressed"],
+  ]);
+  assert.deepEqual(buildRunPlan(PLAN_INPUT).excluded.map((r) => r.reason), [
+    "suppressed",
+    "no-consent",
+  ]);
+});
+
+test("the plan hash changes with the recipients, message, caps or mode", () => {
+  const hash = planHash(buildRunPlan(PLAN_INPUT));
+
+  assert.equal(planHash(buildRunPlan(PLAN_INPUT)), hash);
+  assert.notEqual(planHash(buildRunPlan({ ...PLAN_INPUT, consentLedger: consentFor("alice") })), hash);
+  assert.notEqual(planHash(buildRunPlan({ ...PLAN_INPUT, suppressionList: { entries: [] } })), hash);
+  assert.notEqual(planHash(buildRunPlan({ ...PLAN_INPUT, message: `${MESSAGE} ` })), hash);
+  assert.notEqual(planHash(buildRunPlan({ ...PLAN_INPUT, caps: resolveCaps({ maxPerRun: 11 }) })), hash);
+  assert.notEqual(planHash(buildRunPlan({ ...PLAN_INPUT, dryRun: true })), hash);
+  // Excluded profiles don't change who gets messaged
+  assert.equal(
+    planHash(buildRunPlan({ ...PLAN_INPUT, profiles: [...PLAN_INPUT.profiles, profile("erin")] })),
+    hash
+  );
+});
+
+test("unattended runs must pass the reviewed plan hash", async () => {
+  const plan = buildRunPlan(PLAN_INPUT);
+
+  assert.equal(await confirmPlan(plan, { confirmHash: planHash(plan) }), true);
+  await assert.rejects(confirmPlan(plan, { confirmHash: "0000000000000000" }), /Run plan changed/);
+  await assert.rejects(confirmPlan(plan, { input: { isTTY: false } }), /--confirm/);
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the run reports in lib/report.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  NO_RUN_ID,
+  parseResults,
+  buildReports,
+  renderCsv,
+  renderHtml,
+} = require("../lib/report");
+
+const RUN = [
+  { runId: "run-a", timestamp: "2026-01-05T10:00:00.000Z", optedOut: 'Replied "stop"', language: "en", profileId: "p9", url: "https://www.facebook.com/p9" },
+  { runId: "run-a", timestamp: "2026-01-05T10:01:00.000Z", success: true, delivery: "confirmed", durationMs: 20000, profileId: "p1", consent: { method: "signup-form", grantedAt: "2025-12-01T00:00:00.000Z" } },
+  { runId: "run-a", timestamp: "2026-01-05T10:02:00.000Z", success: false, delivery: "unconfirmed", errorCode: "SEND_UNCONFIRMED", errorStep: "verify", durationMs: 30000, profileId: "p2" },
+  { runId: "run-a", timestamp: "2026-01-05T10:03:00.000Z", success: false, delivery: "failed", errorCode: "NO_MESSAGE_BUTTON", errorStep: "open-chat", error: 'No "Message", button', durationMs: 10000, profileId: "p3" },
+  { runId: "run-a", timestamp: "2026-01-05T10:03:10.000Z", success: false, skipped: "no-consent", consentStatus: "expired", profileId: "p4" },
+  { runId: "run-a", timestamp: "2026-01-05T10:03:20.000Z", success: false, skipped: "suppressed", reason: "Replied STOP", profileId: "p5" },
+  { runId: "run-a", timestamp: "2026-01-05T10:03:30.000Z", success: false, skipped: "cap-recipient", reason: "already messaged", profileId: "<p6>" },
+  { runId: "run-a", timestamp: "2026-01-05T10:03:40.000Z", success: false, stopped: "cap-run", reason: "Run cap reached", remaining: 4, heldBack: 2 },
+];
+
+test("results.jsonl and dataset exports are both read", () => {
+  const jsonl = RUN.map((r) => JSON.stringify(r)).join("\n") + "\nnot json\n";
+  assert.equal(parseResults(jsonl).records.length, RUN.length);
+  assert.equal(parseResults(jsonl).invalid, 1);
+  assert.equal(parseResults(JSON.stringify(RUN)).records.length, RUN.length);
+});
+
+test("records are reported per run with every breakdown", () => {
+  const [report, legacy] = buildReports([...RUN, { success: true, messageSent: "Yes", durationMs: 5000 }]);
+
+  assert.equal(report.runId, "run-a");
+  assert.equal(report.attempted, 3);
+  assert.equal(report.confirmed, 1);
+  assert.equal(report.unconfirmed, 1);
+  assert.equal(report.failed, 1);
+  // Of the 4 profiles left at the cap-run stop, 2 had consent and weren't
+  // suppressed: those are the cap's, on top of the per-recipient skip
+  assert.deepEqual(report.skipped, {
+    total: 5,
+    consent: 1,
+    suppression: 1,
+    cap: 3,
+    capByScope: { recipient: 1, run: 2, day: 0 },
+  });
+  assert.deepEqual(report.errorCodes, { SEND_UNCONFIRMED: 1, NO_MESSAGE_BUTTON: 1 });
+  assert.deepEqual(
+    [report.durations.count, report.durations.totalMs, report.durations.medianMs],
+    [3, 60000, 20000]
+  );
+  assert.equal(report.optOuts.length, 1);
+  assert.deepEqual(report.optOuts[0], {
+    profileId: "p9",
+    url: "https://www.facebook.com/p9",
+    reason: 'Replied "stop"',
+    language: "en",
+  });
+  assert.equal(report.stop.stopped, "cap-run");
+
+  assert.equal(legacy.runId, NO_RUN_ID);
+  assert.equal(legacy.unverified, 1);
+});
+
+test("a cap stop logged without heldBack counts every profile left", () => {
+  const [report] = buildReports([
+    { runId: "run-b", stopped: "cap-day", reason: "24h cap reached", remaining: 3 },
+  ]);
+
+  assert.deepEqual(report.skipped.capByScope, { recipient: 0, run: 0, day: 3 });
+});
+
+test("CSV has one escaped row per record", () => {
+  const csv = renderCsv(buildReports(RUN)[0]).trim().split("\n");
+
+  assert.equal(csv.length, RUN.length + 1);
+  assert.ok(csv[0].startsWith("runId,timestamp,profileId"));
+  assert.match(csv[2], /,confirmed,confirmed,/);
+  assert.match(csv[4], /"No ""Message"", button"/);
+});
+
+test("HTML escapes record content", () => {
+  const html = renderHtml(buildReports(RUN)[0]);
+
+  assert.match(html, /<title>Run report run-a<\/title>/);
+  assert.match(html, /&lt;p6&gt;/);
+  assert.doesNotMatch(html, /<p6>/);
+  assert.match(html, /<td>SEND_UNCONFIRMED<\/td><td>1<\/td>/);
+  assert.match(html, /<td>Per-run cap \(run stopped\)<\/td><td>2<\/td>/);
+});
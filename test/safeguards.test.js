@@ -0,0 +1,92 @@
+/**
+ * Tests for the per-profile safeguards runCampaign applies in lib/core.js
+ * (screenProfile): do-not-contact list, then consent, then the send caps.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { screenProfile } = require("../lib/core");
+const { resolveCaps } = require("../lib/caps");
+
+const NOW = new Date();
+
+function profile(name) {
+  return { id: name, url: `https://www.facebook.com/${name}` };
+}
+
+function consentFor(...names) {
+  const records = {};
+  for (const name of names) {
+    records[`id:${name}`] = {
+      profileId: name,
+      url: profile(name).url,
+      grantedAt: new Date(NOW.getTime() - 60 * 1000).toISOString(),
+      method: "signup-form",
+    };
+  }
+  return { records };
+}
+
+function screen(name, overrides = {}) {
+  return screenProfile(profile(name), {
+    suppressionList: { entries: [] },
+    consentLedger: consentFor("alice", "bob"),
+    sendCounters: { sends: [] },
+    caps: resolveCaps(),
+    sentThisRun: 0,
+    remaining: 3,
+    now: NOW,
+    ...overrides,
+  });
+}
+
+function sentTo(name, count = 1) {
+  return Array.from({ length: count }, () => ({
+    at: new Date(NOW.getTime() - 60 * 60 * 1000).toISOString(),
+    profileId: name,
+    url: profile(name).url,
+  }));
+}
+
+test("the do-not-contact list is checked before consent and caps", () => {
+  const result = screen("carol", {
+    suppressionList: { entries: [{ profileId: "carol", reason: "Replied STOP" }] },
+    sentThisRun: 99,
+  });
+
+  assert.equal(result.skip.skipped, "suppressed");
+  assert.equal(result.skip.reason, "Replied STOP");
+});
+
+test("consent is checked before the caps", () => {
+  const result = screen("carol", { sentThisRun: 99 });
+
+  assert.equal(result.skip.skipped, "no-consent");
+  assert.equal(result.skip.consentStatus, "no-record");
+});
+
+test("per-run and 24h caps stop the run, the per-recipient cap skips", () => {
+  const run = screen("alice", { caps: resolveCaps({ maxPerRun: 2 }), sentThisRun: 2 });
+  assert.deepEqual([run.stop.stopped, run.stop.remaining], ["cap-run", 3]);
+
+  const day = screen("alice", {
+    caps: resolveCaps({ maxPerDay: 2 }),
+    sendCounters: { sends: sentTo("bob", 2) },
+  });
+  assert.equal(day.stop.stopped, "cap-day");
+
+  const recipient = screen("alice", { sendCounters: { sends: sentTo("alice") } });
+  assert.equal(recipient.stop, undefined);
+  assert.equal(recipient.skip.skipped, "cap-recipient");
+});
+
+test("a profile that passes every safeguard carries its consent record", () => {
+  const result = screen("alice", { sendCounters: { sends: sentTo("bob") } });
+
+  assert.equal(result.skip, undefined);
+  assert.equal(result.stop, undefined);
+  assert.equal(result.consent.record.method, "signup-form");
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for the do-not-contact list in lib/suppression.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  findSuppression,
+  addSuppression,
+  removeSuppression,
+  parseSuppressionTarget,
+} = require("../lib/suppression");
+
+test("a suppressed profile matches by id or by normalised URL", () => {
+  const list = { entries: [] };
+  addSuppression(list, { profileId: "profile-001", reason: "Replied STOP" });
+  addSuppression(list, { url: "https://www.facebook.com/Bob/" });
+  addSuppression(list, { url: "https://facebook.com/profile.php?id=42&ref=x" });
+
+  assert.equal(findSuppression(list, { id: "profile-001", url: "https://www.facebook.com/x" }).reason, "Replied STOP");
+  assert.ok(findSuppression(list, { id: "bob", url: "https://m.facebook.com/bob" }));
+  assert.ok(findSuppression(list, { id: "p42", url: "https://www.facebook.com/profile.php?id=42" }));
+  assert.equal(findSuppression(list, { id: "p43", url: "https://www.facebook.com/profile.php?id=43" }), null);
+  assert.equal(findSuppression(list, { id: "alice", url: "https://www.facebook.com/alice" }), null);
+});
+
+test("adding a profile twice keeps the first entry", () => {
+  const list = { entries: [] };
+  const first = addSuppression(list, { profileId: "p1", reason: "Replied STOP", source: "inbox-scan" });
+  const again = addSuppression(list, { profileId: "p1", reason: "manual" });
+
+  assert.equal(again, first);
+  assert.equal(list.entries.length, 1);
+  assert.throws(() => addSuppression(list, {}), /needs a profile id or URL/);
+});
+
+test("entries are removed by id or URL", () => {
+  const list = { entries: [] };
+  addSuppression(list, { profileId: "p1", url: "https://www.facebook.com/alice" });
+  addSuppression(list, { profileId: "p2" });
+
+  assert.equal(removeSuppression(list, parseSuppressionTarget("https://facebook.com/alice")), 1);
+  assert.equal(removeSuppression(list, parseSuppressionTarget("p3")), 0);
+  assert.deepEqual(list.entries.map((e) => e.profileId), ["p2"]);
+  assert.deepEqual(parseSuppressionTarget(" p2 "), { id: "p2" });
+});
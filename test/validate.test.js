@@ -0,0 +1,84 @@
+/**
+ * Tests for the profiles and actor input validation in lib/validate.js.
+ *
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  ValidationError,
+  validateProfiles,
+  validateActorInput,
+  assertValidProfiles,
+} = require("../lib/validate");
+
+const PROFILES = [
+  { id: "profile-001", url: "https://www.facebook.com/terri.lopez" },
+  { id: "profile-002", url: "https://www.facebook.com/profile.php?id=61559986547821" },
+];
+
+test("a well-formed profiles list is valid", () => {
+  assert.deepEqual(validateProfiles(PROFILES), []);
+  assert.deepEqual(validateProfiles(require("../profiles.json")), []);
+});
+
+test("missing fields and non-facebook.com URLs are rejected", () => {
+  const errors = validateProfiles([
+    { url: "https://www.facebook.com/someone" },
+    { id: "p2", url: "https://facebook.com.example.org/someone" },
+    { id: "p3", url: "https://example.com/someone" },
+  ]);
+
+  assert.deepEqual(errors, [
+    'profiles[0]: missing "id"',
+    "profiles[1].url: not a facebook.com profile URL",
+    "profiles[2].url: not a facebook.com profile URL",
+  ]);
+  assert.deepEqual(validateProfiles([]), ["profiles: must NOT have fewer than 1 items"]);
+});
+
+test("duplicate ids and URL variants of the same profile are rejected", () => {
+  const errors = validateProfiles([
+    ...PROFILES,
+    { id: "profile-001", url: "https://www.facebook.com/someone.else" },
+    { id: "profile-003", url: "https://m.facebook.com/terri.lopez/" },
+    { id: "profile-004", url: "https://facebook.com/profile.php?id=61559986547821&ref=br" },
+  ]);
+
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /profiles\[2\]: duplicate id "profile-001"/);
+  assert.match(errors[1], /profiles\[3\]: duplicate URL/);
+  assert.match(errors[2], /profiles\[4\]: duplicate URL/);
+});
+
+test("actor input is checked against INPUT_SCHEMA.json and the profiles rules", () => {
+  const input = {
+    loginEmail: "sender@example.com",
+    loginPassword: "secret",
+    cookiePassphrase: "correct horse",
+    message: "Hello!\n— Ada from Acme\nReply STOP to opt out.",
+    profiles: PROFILES,
+  };
+
+  assert.deepEqual(validateActorInput(input), []);
+  assert.deepEqual(validateActorInput({ ...input, loginPassword: undefined, maxPerRun: -1 }), [
+    'input: missing "loginPassword"',
+    "input.maxPerRun: must be >= 0",
+  ]);
+  assert.deepEqual(validateActorInput({ ...input, cookiePassphrase: undefined }), [
+    'input: missing "cookiePassphrase"',
+  ]);
+  assert.deepEqual(validateActorInput({ ...input, profiles: [PROFILES[0], PROFILES[0]] }), [
+    'input.profiles[1]: duplicate id "profile-001" (also input.profiles[0])',
+    `input.profiles[1]: duplicate URL ${PROFILES[0].url} (also input.profiles[0])`,
+  ]);
+});
+
+test("assertValidProfiles throws a report of every error", () => {
+  assert.throws(
+    () => assertValidProfiles([{ id: "p1" }]),
+    (err) => err instanceof ValidationError && /missing "url"/.test(err.message)
+  );
+});